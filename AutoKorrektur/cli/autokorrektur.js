@@ -0,0 +1,514 @@
+#!/usr/bin/env node
+import {parseArgs} from "node:util";
+import {mkdir, readFile, readdir, stat, writeFile} from "node:fs/promises";
+import path from "node:path";
+import {fileURLToPath} from "node:url";
+
+import * as ortModule from "../js/ort20/ort.node.min.mjs";
+import jpeg from "jpeg-js";
+import {PNG} from "pngjs";
+
+import {processImageMat} from "../js/processInput.js";
+import {AutoKorrekturPipeline, defaultDownshift} from "../js/pipeline.js";
+import {buildCSV, maskFileName, resultFileName} from "../js/evaluation.js";
+import {classSelectionTag, getClassNames, getPresetClassIds, validateManifest} from "../js/modelManifest.js";
+import {describeBackends} from "../js/backends.js";
+import {flipModes} from "../js/flipAugmentation.js";
+import {postprocessingModes} from "../js/postprocessing.js";
+import {annotationFiles, annotationFormats, describeInstances} from "../js/annotationExport.js";
+import {vectorGeoJson, vectorizeResult, vectorSvg} from "../js/vectorExport.js";
+import {annotationBaseName, parseCocoAnnotations, parseYoloSeg} from "../js/annotationImport.js";
+import {parseRegions} from "../js/regions.js";
+import {shadowModes} from "../js/shadowEstimation.js";
+import {loadOpenCv} from "./opencv.js";
+
+const appDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const imageExtensions = [".jpg", ".jpeg", ".png"];
+
+const usage = `Usage: autokorrektur <images or directories...> [options]
+
+Removes cars (or other objects) from images with the same pipeline as the web application.
+
+Options:
+  -o, --out <dir>          Output directory (default: current directory)
+  -m, --model <id>         Segmentation model id of the manifest, e.g. yolo11n, yolo11s, yolo11m or a custom one
+                           (default: the manifest default)
+      --inpaint-model <id> Inpainting model id of the manifest (default: the manifest default)
+      --model-path <dir>   Directory containing manifest.json and the ONNX models (default: AutoKorrektur/model)
+  -c, --classes <list>     Objects to remove: a class preset of the manifest (motor-vehicles, street-clutter,
+                           people) or comma-separated class names or ids (default: the manifest default preset)
+  -s, --score <value>      Score threshold for detections (default: 0.2)
+      --iou <value>        IoU threshold above which the NMS merges boxes of a class (default: 0.9)
+      --max-instances <n>  Maximum number of instances per class (default: 100)
+      --class-score <list> Score thresholds per class replacing --score, e.g. car=0.3,truck=0.25
+      --class-upscale <list>
+                           Mask upscale factors per class replacing --upscale, e.g. motorcycle=1.4
+      --sliced             Also detect on overlapping tiles of the full image, for small, distant objects
+      --tile-overlap <value>
+                           Minimum overlap of the tiles as fraction of the tile size (default: 0.2)
+      --flip-tta <mode>    Also detect on the horizontally flipped image and merge by union or vote
+                           (default: off)
+      --postprocess <mode> NMS and mask assembly by the ONNX helper graphs (onnx), in JavaScript (js) or in
+                           JavaScript with a separate NMS per class (js-class-aware) (default: onnx)
+      --check-postprocess  Only compare the JavaScript post-processing with the ONNX helper graphs on the images
+                           and report the differences, nothing is written
+      --min-area <percent> Do not remove objects whose box covers less of the image than this (default: 0)
+      --max-area <percent> Do not remove objects whose box covers more of the image than this (default: 100)
+      --min-aspect <value> Do not remove objects whose box width / height is below this (default: none)
+      --max-aspect <value> Do not remove objects whose box width / height is above this (default: none)
+      --skip-edge          Do not remove objects whose box touches the image border, e.g. cars cut off by the
+                           frame
+      --regions <file>     Only remove objects inside the include regions and none inside the exclude regions of
+                           a JSON file, e.g. a region template downloaded from the web application
+  -u, --upscale <value>    Mask upscale factor (default: 1.2)
+  -d, --downshift <value>  Mask downshift as fraction of the image height (default: ${defaultDownshift})
+      --shadows <mode>     Cover the shadows below the objects by the mask downshift or estimate them from the
+                           dark areas below each object: downshift, estimate (default: downshift)
+      --shadow-extent <value>
+                           Maximum extent of an estimated shadow below its object as fraction of the object
+                           height (default: 0.5)
+  -p, --downscale <mp>     Downscale images to at most this many megapixels (default: no scaling)
+      --threads <n>        Number of WASM threads (default: 1)
+      --eval               Also write the masks and a results.csv with the processing times
+      --import-annotations Remove the objects of annotations instead of detecting them: COCO JSON files among
+                           the inputs and YOLO-seg TXT files next to the images, named like them
+      --adjust-imported    Apply --upscale and --downshift / --shadows to the imported masks too
+      --annotations <format>
+                           Also write the removed objects as annotations: coco-polygon, coco-rle (one
+                           annotations.json), yolo (a .txt per image and classes.txt) or voc (a .xml per image)
+      --vectors            Also write the outlines of the removed areas as .svg over the input image and .geojson
+  -h, --help               Show this help
+`;
+
+/* --- Main --- */
+
+const {values: args, positionals: inputs} = parseArgs({
+    allowPositionals: true,
+    options: {
+        out: {type: "string", short: "o", default: "."},
+        model: {type: "string", short: "m"},
+        "inpaint-model": {type: "string"},
+        "model-path": {type: "string", default: path.join(appDir, "model")},
+        classes: {type: "string", short: "c"},
+        score: {type: "string", short: "s", default: "0.2"},
+        iou: {type: "string", default: "0.9"},
+        "max-instances": {type: "string", default: "100"},
+        "class-score": {type: "string"},
+        "class-upscale": {type: "string"},
+        sliced: {type: "boolean", default: false},
+        "tile-overlap": {type: "string", default: "0.2"},
+        "flip-tta": {type: "string", default: "off"},
+        postprocess: {type: "string", default: "onnx"},
+        "check-postprocess": {type: "boolean", default: false},
+        "min-area": {type: "string", default: "0"},
+        "max-area": {type: "string", default: "100"},
+        "min-aspect": {type: "string", default: "0"},
+        "max-aspect": {type: "string", default: "Infinity"},
+        "skip-edge": {type: "boolean", default: false},
+        regions: {type: "string"},
+        upscale: {type: "string", short: "u", default: "1.2"},
+        downshift: {type: "string", short: "d", default: String(defaultDownshift)},
+        shadows: {type: "string", default: "downshift"},
+        "shadow-extent": {type: "string", default: "0.5"},
+        downscale: {type: "string", short: "p"},
+        threads: {type: "string", default: "1"},
+        eval: {type: "boolean", default: false},
+        annotations: {type: "string", default: "none"},
+        "import-annotations": {type: "boolean", default: false},
+        "adjust-imported": {type: "boolean", default: false},
+        vectors: {type: "boolean", default: false},
+        help: {type: "boolean", short: "h", default: false},
+    },
+});
+
+if (args.help || inputs.length === 0) {
+    console.log(usage);
+    process.exit(args.help ? 0 : 1);
+}
+if (!flipModes.includes(args["flip-tta"])) {
+    console.error(`Invalid value for --flip-tta: ${args["flip-tta"]} (expected ${flipModes.join(", ")})`);
+    process.exit(1);
+}
+if (!postprocessingModes.includes(args.postprocess)) {
+    console.error(`Invalid value for --postprocess: ${args.postprocess} (expected ${postprocessingModes.join(", ")})`);
+    process.exit(1);
+}
+if (!shadowModes.includes(args.shadows)) {
+    console.error(`Invalid value for --shadows: ${args.shadows} (expected ${shadowModes.join(", ")})`);
+    process.exit(1);
+}
+if (!annotationFormats.includes(args.annotations)) {
+    console.error(`Invalid value for --annotations: ${args.annotations} (expected ${annotationFormats.join(", ")})`);
+    process.exit(1);
+}
+
+const settings = {
+    maskUpscale: parseNumberArg("upscale", args.upscale),
+    downshift: parseNumberArg("downshift", args.downshift),
+    shadowMode: args.shadows,
+    shadowExtent: parseNumberArg("shadow-extent", args["shadow-extent"]),
+    scoreThreshold: parseNumberArg("score", args.score),
+    iouThreshold: parseNumberArg("iou", args.iou),
+    maxInstances: parseNumberArg("max-instances", args["max-instances"]),
+    sliced: args.sliced,
+    tileOverlap: parseNumberArg("tile-overlap", args["tile-overlap"]),
+    flipTTA: args["flip-tta"],
+    postprocessing: args.postprocess,
+    filters: {
+        minArea: parseNumberArg("min-area", args["min-area"]),
+        maxArea: parseNumberArg("max-area", args["max-area"]),
+        minAspectRatio: parseNumberArg("min-aspect", args["min-aspect"]),
+        maxAspectRatio: parseNumberArg("max-aspect", args["max-aspect"]),
+        skipEdge: args["skip-edge"],
+    },
+    regions: args.regions === undefined ? [] : await readRegions(args.regions),
+    adjustImported: args["adjust-imported"],
+    downscale: args.downscale === undefined ? null : parseNumberArg("downscale", args.downscale),
+};
+
+const files = await collectImageFiles(inputs);
+if (files.length === 0) {
+    console.error("No images found in the given inputs.");
+    process.exit(1);
+}
+await mkdir(args.out, {recursive: true});
+
+globalThis.ort = ortModule.default ?? ortModule;
+await loadOpenCv();
+ort.env.wasm.numThreads = parseNumberArg("threads", args.threads);
+
+const manifest = JSON.parse(await readFile(path.join(args["model-path"], "manifest.json"), "utf8"));
+validateManifest(manifest);
+
+console.time("Loading Models");
+const pipeline = new AutoKorrekturPipeline({
+    manifest,
+    modelPath: args["model-path"] + path.sep,
+    backend: "wasm", // the only backend of ONNX Runtime Web in Node.js
+    fetchModel: (file) => readFile(file), // the bytes hold the class names and input size of custom models
+});
+await pipeline.load(args.model, args["inpaint-model"]);
+console.timeEnd("Loading Models");
+console.log(`Model ${pipeline.segmentationModel.id}: ${pipeline.segmentationModel.classes.length} classes, `
+    + `${pipeline.segModelWidth}x${pipeline.segModelHeight} input, ${pipeline.segmentationModel.decoder} output`);
+
+settings.classes = args.classes === undefined ? pipeline.defaultClasses() : parseClassesArg(args.classes);
+const cocoAnnotations = args["import-annotations"] ? await readCocoAnnotations(inputs) : new Map();
+settings.classOverrides = parseClassOverridesArgs({
+    scoreThreshold: ["class-score", args["class-score"]],
+    maskUpscale: ["class-upscale", args["class-upscale"]],
+});
+const classesTag = classSelectionTag(manifest, pipeline.segmentationModel, settings.classes);
+
+if (args["check-postprocess"]) {
+    let differing = 0;
+    for (const [i, file] of files.entries()) {
+        const {selected, selectionDifferences, maskPixels, maskDifferences} = await checkPostprocessing(file);
+        if (selectionDifferences > 0 || maskDifferences > 0) {
+            differing++;
+        }
+        console.log(`[${i + 1}/${files.length}] ${file}: ${selected} detections, ${selectionDifferences} differently `
+            + `selected, ${maskDifferences} of ${maskPixels} mask pixels differ`);
+    }
+    console.log(differing === 0 ? "The JavaScript post-processing equals the ONNX helper graphs."
+        : `The JavaScript post-processing differs on ${differing} of ${files.length} images.`);
+    await pipeline.dispose();
+    process.exit(differing > 0 ? 1 : 0);
+}
+
+// Ctrl+C cancels the running image and skips the remaining ones, the results so far are kept
+const controller = new AbortController();
+process.once("SIGINT", () => {
+    console.log("Cancelling...");
+    controller.abort();
+});
+
+const fileNames = [];
+const times = [];
+const backends = [];
+const annotatedImages = [];
+let failures = 0;
+for (let i = 0; i < files.length && !controller.signal.aborted; i++) {
+    try {
+        const [fileName, time, backend, timings, annotations, filtered] = await inferenceStep(files[i]);
+        fileNames.push(fileName);
+        times.push(time);
+        backends.push(backend);
+        if (annotations) {
+            annotatedImages.push(annotations);
+        }
+        console.log(`[${i + 1}/${files.length}] ${files[i]} -> ${fileName}.jpeg (${Math.round(time)} ms)`);
+        if (timings.flipTTA !== undefined) {
+            console.log(`    flip augmentation: ${Math.round(timings.flipTTA)} ms`);
+        }
+        if (filtered.length > 0) {
+            const kept = filtered.map(({labelName, filteredBy}) => labelName + " (" + filteredBy + ")");
+            console.log(`    kept by the filters: ${kept.join(", ")}`);
+        }
+    } catch (error) {
+        if (error.name === "AbortError") {
+            console.log(`Cancelled after ${fileNames.length}/${files.length} images.`);
+            break;
+        }
+        failures++;
+        console.error(`[${i + 1}/${files.length}] ${files[i]} failed:`, error.message ?? error);
+    }
+}
+
+if (args.eval) {
+    await writeFile(path.join(args.out, "results.csv"), buildCSV(fileNames, times, backends, settings));
+}
+if (annotatedImages.length > 0) {
+    const classNames = getClassNames(manifest, pipeline.segmentationModel);
+    for (const {name, content} of annotationFiles(args.annotations, annotatedImages, classNames)) {
+        await writeFile(path.join(args.out, name), content);
+    }
+}
+await pipeline.dispose();
+process.exit(failures > 0 || controller.signal.aborted ? 1 : 0);
+
+
+/* --- Functions --- */
+
+/**
+ * Processes one image file and writes the result (and the mask in evaluation mode) to the output directory.
+ * @param {string} file - The path of the input image.
+ * @returns {Promise<[string, number, string, object, object|null, object[]]>} A tuple containing the result filename,
+ *   elapsed time, used backend, the timings of the pipeline steps, the annotations of the result image if requested
+ *   and the detections sorted out by the filters.
+ */
+async function inferenceStep(file) {
+    const startTime = performance.now();
+    const imported = args["import-annotations"] ? await readImportedAnnotations(file) : null;
+    const rgbaMat = await readImageMat(file);
+    const [image, transImage, xRatio, yRatio] = processImageMat(rgbaMat, pipeline.segModelWidth, pipeline.segModelHeight,
+        settings.downscale);
+
+    try {
+        const input = {image, transImage, xRatio, yRatio};
+        const {result, mask, detections, filtered = [], timings} = imported === null
+            ? await pipeline.process(input, settings, {signal: controller.signal})
+            : await pipeline.removeAnnotated(input, imported, settings, {signal: controller.signal});
+        const elapsedTime = performance.now() - startTime;
+        const fileName = resultFileName(file, {
+            ...settings,
+            classes: imported ? "imported" : classesTag,
+            filters: imported ? {} : settings.filters
+        });
+
+        await writeMatAsJpeg(result, path.join(args.out, fileName + ".jpeg"));
+        if (args.eval) {
+            await writeMatAsJpeg(mask, path.join(args.out, maskFileName(file) + ".jpeg"));
+        }
+        if (args.vectors) {
+            const vectors = vectorizeResult(mask, detections);
+            const imageHref = path.relative(args.out, file).split(path.sep).join("/");
+            await writeFile(path.join(args.out, fileName + ".svg"), vectorSvg(vectors, imageHref));
+            await writeFile(path.join(args.out, fileName + ".geojson"), vectorGeoJson(vectors));
+        }
+        const annotations = args.annotations === "none" ? null : {
+            fileName,
+            width: image.cols,
+            height: image.rows,
+            instances: describeInstances(detections, image.cols, image.rows)
+        };
+        result.delete();
+        mask.delete();
+        return [fileName, elapsedTime, describeBackends(timings.backends), timings, annotations, filtered];
+    } finally {
+        image.delete();
+        transImage.delete();
+    }
+}
+
+/**
+ * Reads the --regions file and exits if it is unreadable or invalid.
+ * @param {string} file - The path of the JSON file.
+ * @returns {Promise<object[]>} The regions (see applyRegions).
+ */
+async function readRegions(file) {
+    try {
+        return parseRegions(await readFile(file, "utf8"));
+    } catch (error) {
+        console.error(`Invalid value for --regions: ${file} (${error.message})`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Compares the JavaScript post-processing with the ONNX helper graphs on an image file.
+ * @param {string} file - The path of the input image.
+ * @returns {Promise<{selected: number, selectionDifferences: number, maskPixels: number, maskDifferences: number}>}
+ *   See AutoKorrekturPipeline.checkPostprocessing.
+ */
+async function checkPostprocessing(file) {
+    const rgbaMat = await readImageMat(file);
+    const [image, transImage, xRatio, yRatio] = processImageMat(rgbaMat, pipeline.segModelWidth, pipeline.segModelHeight,
+        settings.downscale);
+    try {
+        return await pipeline.checkPostprocessing({image, transImage, xRatio, yRatio}, settings);
+    } finally {
+        image.delete();
+        transImage.delete();
+    }
+}
+
+/**
+ * Reads the COCO files among the inputs and in the input directories.
+ * @param {string[]} inputs - Paths of images, annotation files or directories.
+ * @returns {Promise<Map<string, object[]>>} The instances per image base name (see parseCocoAnnotations).
+ */
+async function readCocoAnnotations(inputs) {
+    const annotations = new Map();
+    for (const input of inputs) {
+        const files = (await stat(input)).isDirectory()
+            ? (await readdir(input)).sort().map(entry => path.join(input, entry))
+            : [input];
+        for (const file of files.filter(file => path.extname(file).toLowerCase() === ".json")) {
+            const classNames = getClassNames(manifest, pipeline.segmentationModel);
+            for (const [name, instances] of parseCocoAnnotations(await readFile(file, "utf8"), classNames)) {
+                annotations.set(name, instances);
+            }
+        }
+    }
+    return annotations;
+}
+
+/**
+ * Finds the imported annotations of an image: a YOLO-seg TXT file next to it or an entry of a COCO file.
+ * @param {string} file - The path of the image.
+ * @returns {Promise<object[]|null>} The instances, null if the image has no annotations.
+ */
+async function readImportedAnnotations(file) {
+    const labelFile = path.join(path.dirname(file), annotationBaseName(file) + ".txt");
+    try {
+        return parseYoloSeg(await readFile(labelFile, "utf8"), getClassNames(manifest, pipeline.segmentationModel));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+    return cocoAnnotations.get(annotationBaseName(file)) ?? null;
+}
+
+/**
+ * Expands directories to the image files they contain.
+ * @param {string[]} inputs - Paths of images or directories.
+ * @returns {Promise<string[]>} The image file paths.
+ */
+async function collectImageFiles(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if ((await stat(input)).isDirectory()) {
+            const entries = (await readdir(input)).sort();
+            files.push(...entries.filter(isImageFile).map(entry => path.join(input, entry)));
+        } else if (isImageFile(input)) {
+            files.push(input);
+        } else if (!(args["import-annotations"] && path.extname(input).toLowerCase() === ".json")) {
+            console.warn("Skipping unsupported file:", input);
+        }
+    }
+    return files;
+}
+
+/**
+ * @param {string} file
+ * @returns {boolean} True if the file has a supported image extension.
+ */
+function isImageFile(file) {
+    return imageExtensions.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Decodes a JPEG or PNG file.
+ * @param {string} file - The path of the image.
+ * @returns {Promise<cv.Mat>} The image matrix with CV_8UC4 (RGBA) data type.
+ */
+async function readImageMat(file) {
+    const buffer = await readFile(file);
+    const {width, height, data} = path.extname(file).toLowerCase() === ".png"
+        ? PNG.sync.read(buffer)
+        : jpeg.decode(buffer, {useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 2048});
+    return cv.matFromImageData({width, height, data});
+}
+
+/**
+ * Encodes an image matrix as JPEG file.
+ * @param {cv.Mat} mat - The image matrix with CV_8UC3 / CV_8UC1 data type.
+ * @param {string} file - The path of the resulting file.
+ * @returns {Promise<void>}
+ */
+async function writeMatAsJpeg(mat, file) {
+    const rgbaMat = new cv.Mat();
+    cv.cvtColor(mat, rgbaMat, mat.channels() === 1 ? cv.COLOR_GRAY2RGBA : cv.COLOR_RGB2RGBA);
+    const {data} = jpeg.encode({width: rgbaMat.cols, height: rgbaMat.rows, data: Buffer.from(rgbaMat.data)}, 90);
+    rgbaMat.delete();
+    await writeFile(file, data);
+}
+
+/**
+ * Parses a numeric command line argument and exits on invalid input.
+ * @param {string} name - The name of the argument.
+ * @param {string} value - The raw value.
+ * @returns {number} The parsed value.
+ */
+function parseNumberArg(name, value) {
+    const number = Number(value);
+    if (value === "" || Number.isNaN(number)) {
+        console.error(`Invalid value for --${name}: ${value}`);
+        process.exit(1);
+    }
+    return number;
+}
+
+/**
+ * Parses the --classes argument and exits on unknown classes.
+ * @param {string} value - A class preset id or comma-separated class names or ids.
+ * @returns {number[]} The class ids of the loaded segmentation model.
+ */
+function parseClassesArg(value) {
+    if (manifest.classPresets?.some(preset => preset.id === value)) {
+        return getPresetClassIds(manifest, pipeline.segmentationModel, value);
+    }
+    return value.split(",").map(entry => parseClassArg("classes", entry.trim()));
+}
+
+/**
+ * Parses the per-class override arguments, each a comma-separated list of class=value pairs.
+ * @param {Object<string, [string, string|undefined]>} overrideArgs - The argument name and raw value per setting.
+ * @returns {Object<number, {scoreThreshold?: number, maskUpscale?: number}>} The overrides by class id.
+ */
+function parseClassOverridesArgs(overrideArgs) {
+    const overrides = {};
+    for (const [setting, [name, value]] of Object.entries(overrideArgs)) {
+        if (value === undefined) {
+            continue;
+        }
+        for (const entry of value.split(",")) {
+            const separator = entry.lastIndexOf("=");
+            if (separator < 0) {
+                console.error(`Invalid value for --${name}: ${entry} (expected class=value)`);
+                process.exit(1);
+            }
+            const id = parseClassArg(name, entry.slice(0, separator).trim());
+            overrides[id] = {...overrides[id], [setting]: parseNumberArg(name, entry.slice(separator + 1).trim())};
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Resolves a class name or id of the loaded segmentation model and exits on unknown classes.
+ * @param {string} name - The name of the argument, for the error message.
+ * @param {string} value - A class name or id.
+ * @returns {number} The class id.
+ */
+function parseClassArg(name, value) {
+    const classNames = getClassNames(manifest, pipeline.segmentationModel);
+    const id = /^\d+$/.test(value) ? Number(value) : classNames.indexOf(value);
+    if (id < 0 || id >= classNames.length) {
+        console.error(`Unknown class for --${name}: ${value}`);
+        process.exit(1);
+    }
+    return id;
+}
@@ -0,0 +1,19 @@
+import cvModule from "@techstark/opencv-js";
+
+export {loadOpenCv}
+
+/**
+ * Waits for the OpenCV.js runtime to be initialized and exposes it as global `cv`, like opencv.js does in the browser.
+ * The emscripten module is thenable in some builds, so it is never returned from an async function.
+ * @returns {Promise<void>}
+ */
+async function loadOpenCv() {
+    if (cvModule instanceof Promise) {
+        globalThis.cv = await cvModule;
+        return;
+    }
+    if (!cvModule.Mat) {
+        await new Promise(resolve => cvModule.onRuntimeInitialized = resolve);
+    }
+    globalThis.cv = cvModule;
+}
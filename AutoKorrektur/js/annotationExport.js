@@ -0,0 +1,235 @@
+export {annotationFormats, describeInstances, annotationFiles, cocoJson, yoloSegTxt, vocXml, escapeXml}
+
+/**
+ * The selectable export formats. "coco-polygon" and "coco-rle" differ in the segmentation of the COCO instances.
+ * @type {string[]}
+ */
+const annotationFormats = ["none", "coco-polygon", "coco-rle", "yolo", "voc"];
+
+const polygonTolerance = 1.0; // max distance in pixels of the simplified polygon from the mask contour
+
+/**
+ * Converts detections into annotation instances, which no longer need the instance masks. Needs OpenCV.js.
+ * @param {object[]} detections - The detections in image coordinates (see inferYolo).
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {object[]} The instances as {label, labelName, score, bbox, area, polygons, rle}: bbox is
+ *   [x, y, width, height] of the instance mask (of the box without mask), polygons are the outer contours as flat
+ *   [x1, y1, x2, y2, ...] arrays, largest first, rle is the COCO run-length encoding of the mask, null without mask.
+ *   Masks without a contour of at least three corners, e.g. a line one pixel wide, get their bbox as polygon.
+ */
+function describeInstances(detections, width, height) {
+    return detections.map(({label, labelName, score, box, mask}) => {
+        if (!mask) {
+            const [w, h] = box.slice(2);
+            return {label, labelName, score, bbox: box, area: w * h, polygons: [boxPolygon(box)], rle: null};
+        }
+        const rle = maskRle(mask, width, height);
+        const bbox = [mask.x, mask.y, mask.width, mask.height];
+        const polygons = maskPolygons(mask);
+        return {
+            label, labelName, score, bbox,
+            area: rle.counts.reduce((area, count, index) => index % 2 === 1 ? area + count : area, 0),
+            polygons: polygons.length > 0 ? polygons : [boxPolygon(bbox)],
+            rle
+        };
+    });
+}
+
+/**
+ * Builds the annotation files of processed images.
+ * COCO puts all images into one file, YOLO-seg and Pascal VOC write a file per image.
+ * @param {string} format - One of annotationFormats except "none".
+ * @param {{fileName: string, width: number, height: number, instances: object[]}[]} images - The result images,
+ *   fileName being the name of the result image without extension, and their instances (see describeInstances).
+ * @param {string[]} classNames - The class names of the segmentation model.
+ * @returns {{name: string, content: string, type: string}[]} The files with name and MIME type.
+ */
+function annotationFiles(format, images, classNames) {
+    switch (format) {
+        case "coco-polygon":
+        case "coco-rle":
+            return [{
+                name: (images.length === 1 ? images[0].fileName : "annotations") + ".json",
+                content: cocoJson(images, classNames, format === "coco-rle" ? "rle" : "polygon"),
+                type: "application/json"
+            }];
+        case "yolo":
+            return [
+                ...images.map(image => ({name: image.fileName + ".txt", content: yoloSegTxt(image), type: "text/plain"})),
+                {name: "classes.txt", content: classNames.join("\n") + "\n", type: "text/plain"}
+            ];
+        case "voc":
+            return images.map(image => ({name: image.fileName + ".xml", content: vocXml(image), type: "application/xml"}));
+        default:
+            throw new Error("Unknown annotation format: " + format);
+    }
+}
+
+/**
+ * Builds a COCO instance segmentation file. Category ids are the class ids plus 1, as COCO ids start at 1.
+ * @param {object[]} images - See annotationFiles.
+ * @param {string[]} classNames - The class names of the segmentation model.
+ * @param {string} [segmentation="polygon"] - "polygon" or "rle" (uncompressed). RLE annotations are marked with
+ *   iscrowd 1, as pycocotools and CVAT expect polygons otherwise; instances without mask keep their box polygon.
+ * @returns {string} The JSON content.
+ */
+function cocoJson(images, classNames, segmentation = "polygon") {
+    let annotationId = 1;
+    return JSON.stringify({
+        info: {description: "AutoKorrektur detections", date_created: new Date().toISOString()},
+        images: images.map(({fileName, width, height}, index) => ({
+            id: index + 1, file_name: fileName + ".jpeg", width, height
+        })),
+        annotations: images.flatMap(({instances}, index) => instances.map(instance => {
+            const rle = segmentation === "rle" ? instance.rle : null;
+            return {
+                id: annotationId++,
+                image_id: index + 1,
+                category_id: instance.label + 1,
+                segmentation: rle ?? instance.polygons,
+                area: instance.area,
+                bbox: instance.bbox,
+                iscrowd: rle ? 1 : 0, // COCO tools read RLE segmentations only for crowd annotations
+                score: instance.score
+            };
+        })),
+        categories: classNames.map((name, id) => ({id: id + 1, name, supercategory: ""}))
+    });
+}
+
+/**
+ * Builds a YOLO segmentation label file: a line "class x1 y1 x2 y2 ..." per instance with its largest polygon,
+ * the coordinates normalized to the image size.
+ * @param {{width: number, height: number, instances: object[]}} image - See annotationFiles.
+ * @returns {string} The text content.
+ */
+function yoloSegTxt({width, height, instances}) {
+    return instances.map(({label, polygons}) =>
+        [label, ...polygons[0].map((value, index) => (value / (index % 2 === 0 ? width : height)).toFixed(6))].join(" ")
+    ).join("\n") + (instances.length > 0 ? "\n" : "");
+}
+
+/**
+ * Builds a Pascal VOC annotation file. Boxes use the 1-based, inclusive VOC coordinates; instances touching the
+ * image border are marked as truncated.
+ * @param {{fileName: string, width: number, height: number, instances: object[]}} image - See annotationFiles.
+ * @returns {string} The XML content.
+ */
+function vocXml({fileName, width, height, instances}) {
+    const objects = instances.map(({labelName, bbox: [x, y, w, h]}) => {
+        const truncated = x <= 0 || y <= 0 || x + w >= width || y + h >= height ? 1 : 0;
+        return `    <object>
+        <name>${escapeXml(labelName)}</name>
+        <pose>Unspecified</pose>
+        <truncated>${truncated}</truncated>
+        <difficult>0</difficult>
+        <bndbox>
+            <xmin>${Math.max(1, x + 1)}</xmin>
+            <ymin>${Math.max(1, y + 1)}</ymin>
+            <xmax>${Math.min(width, x + w)}</xmax>
+            <ymax>${Math.min(height, y + h)}</ymax>
+        </bndbox>
+    </object>
+`;
+    });
+    return `<annotation>
+    <filename>${escapeXml(fileName)}.jpeg</filename>
+    <size>
+        <width>${width}</width>
+        <height>${height}</height>
+        <depth>3</depth>
+    </size>
+    <segmented>0</segmented>
+${objects.join("")}</annotation>
+`;
+}
+
+/**
+ * @param {number[]} box - A box [x, y, width, height].
+ * @returns {number[]} The corners of the box as flat [x1, y1, x2, y2, ...] polygon, clockwise from the top left.
+ */
+function boxPolygon([x, y, w, h]) {
+    return [x, y, x + w, y, x + w, y + h, x, y + h];
+}
+
+/**
+ * Traces the outer contours of an instance mask and simplifies them. Needs OpenCV.js.
+ * @param {{x: number, y: number, width: number, height: number, data: Uint8Array}} mask - The instance mask.
+ * @returns {number[][]} The polygons in image coordinates as flat [x1, y1, x2, y2, ...] arrays, largest first.
+ */
+function maskPolygons(mask) {
+    const maskMat = cv.matFromArray(mask.height, mask.width, cv.CV_8UC1, mask.data);
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    cv.findContours(maskMat, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    const polygons = [];
+    for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        const approx = new cv.Mat();
+        cv.approxPolyDP(contour, approx, polygonTolerance, true);
+        if (approx.rows >= 3) { // COCO and YOLO need at least a triangle
+            const points = [];
+            for (let j = 0; j < approx.rows; j++) {
+                points.push(approx.data32S[j * 2] + mask.x, approx.data32S[j * 2 + 1] + mask.y);
+            }
+            polygons.push({points, area: cv.contourArea(contour)});
+        }
+        approx.delete();
+        contour.delete();
+    }
+    maskMat.delete();
+    contours.delete();
+    hierarchy.delete();
+    return polygons.sort((a, b) => b.area - a.area).map(({points}) => points);
+}
+
+/**
+ * Encodes an instance mask as uncompressed COCO RLE of the whole image: alternating run lengths of background and
+ * object pixels in column-major order, starting with background.
+ * @param {{x: number, y: number, width: number, height: number, data: Uint8Array}} mask - The instance mask.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {{size: number[], counts: number[]}} The RLE with size [height, width].
+ */
+function maskRle(mask, width, height) {
+    const counts = [];
+    let value = 0;
+    let run = 0;
+    const add = (pixel, length) => {
+        if (length === 0) {
+            return;
+        }
+        if (pixel !== value) {
+            counts.push(run);
+            value = pixel;
+            run = 0;
+        }
+        run += length;
+    };
+
+    const top = Math.min(height, Math.max(0, mask.y));
+    const bottom = Math.min(height, Math.max(0, mask.y + mask.height));
+    for (let x = 0; x < width; x++) {
+        if (x < mask.x || x >= mask.x + mask.width) {
+            add(0, height);
+            continue;
+        }
+        add(0, top);
+        for (let y = top; y < bottom; y++) {
+            add(mask.data[(y - mask.y) * mask.width + (x - mask.x)] !== 0 ? 1 : 0, 1);
+        }
+        add(0, height - bottom);
+    }
+    counts.push(run);
+    return {size: [height, width], counts};
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text with the XML special characters escaped.
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (character) => `&#${character.charCodeAt(0)};`);
+}
@@ -0,0 +1,263 @@
+export {isAnnotationFile, annotationBaseName, parseCocoAnnotations, parseYoloSeg, rasterizeAnnotations}
+
+const annotationExtensions = [".json", ".txt"];
+
+/**
+ * @param {string} fileName
+ * @returns {boolean} True if the file may hold annotations: COCO JSON or YOLO-seg TXT.
+ */
+function isAnnotationFile(fileName) {
+    return annotationExtensions.some(extension => fileName.toLowerCase().endsWith(extension));
+}
+
+/**
+ * @param {string} fileName - The name or path of an image or annotation file.
+ * @returns {string} The name without directories and extension, which pairs images with their annotations.
+ */
+function annotationBaseName(fileName) {
+    const name = fileName.split(/[\\/]/).pop();
+    const dot = name.lastIndexOf(".");
+    return dot > 0 ? name.slice(0, dot) : name;
+}
+
+/**
+ * Parses a COCO instance file, e.g. exported by CVAT. Polygons, uncompressed and compressed RLE and plain boxes
+ * are supported. The geometry is normalized to the image size given in the file, so it fits downscaled images too.
+ * @param {string} text - The JSON content.
+ * @param {string[]} classNames - The class names of the segmentation model, categories with the same name get
+ *   its class id.
+ * @returns {Map<string, object[]>} The instances per image, by base name of the image file (see annotationBaseName).
+ *   An instance is {label, labelName, score} with either polygons, rle or box (see rasterizeAnnotations).
+ */
+function parseCocoAnnotations(text, classNames) {
+    const coco = JSON.parse(text);
+    if (!Array.isArray(coco.images) || !Array.isArray(coco.annotations)) {
+        throw new Error("Not a COCO instance file: images or annotations are missing");
+    }
+    const categories = new Map((coco.categories ?? []).map(({id, name}) => [id, name]));
+    const images = new Map(coco.images.map(image => [image.id, image]));
+    const instances = new Map(coco.images.map(image => [annotationBaseName(image.file_name), []]));
+    for (const annotation of coco.annotations) {
+        const image = images.get(annotation.image_id);
+        if (!image) {
+            continue;
+        }
+        if (!(image.width > 0 && image.height > 0)) {
+            throw new Error("The COCO image " + image.file_name + " has no size");
+        }
+        const labelName = categories.get(annotation.category_id) ?? String(annotation.category_id);
+        const instance = {
+            label: classNames.includes(labelName) ? classNames.indexOf(labelName) : annotation.category_id - 1,
+            labelName,
+            score: annotation.score ?? 1
+        };
+        const {segmentation, bbox} = annotation;
+        if (Array.isArray(segmentation) && segmentation.length > 0) {
+            instance.polygons = segmentation.map(polygon => normalizePoints(polygon, image.width, image.height));
+        } else if (segmentation?.counts !== undefined) {
+            instance.rle = {
+                size: segmentation.size,
+                counts: typeof segmentation.counts === "string" ? decodeCompressedCounts(segmentation.counts) : segmentation.counts
+            };
+        } else if (bbox) {
+            instance.box = normalizePoints(bbox, image.width, image.height);
+        } else {
+            continue;
+        }
+        instances.get(annotationBaseName(image.file_name)).push(instance);
+    }
+    return instances;
+}
+
+/**
+ * Parses a YOLO label file of one image. Lines "class x1 y1 x2 y2 ..." are polygons (YOLO-seg), lines
+ * "class cx cy w h" are boxes (YOLO detection), all normalized to the image size.
+ * @param {string} text - The TXT content.
+ * @param {string[]} classNames - The class names of the segmentation model, for the label names.
+ * @returns {object[]} The instances (see parseCocoAnnotations).
+ */
+function parseYoloSeg(text, classNames) {
+    const instances = [];
+    for (const [index, line] of text.split(/\r?\n/).entries()) {
+        const values = line.trim().split(/\s+/).filter(value => value !== "").map(Number);
+        if (values.length === 0) {
+            continue;
+        }
+        if (values.some(Number.isNaN) || (values.length !== 5 && (values.length < 7 || values.length % 2 === 0))) {
+            throw new Error("Invalid YOLO label in line " + (index + 1) + ": " + line);
+        }
+        const [label, ...coordinates] = values;
+        const instance = {label, labelName: classNames[label] ?? String(label), score: 1};
+        if (coordinates.length === 4) {
+            const [cx, cy, w, h] = coordinates;
+            instance.box = [cx - w / 2, cy - h / 2, w, h];
+        } else {
+            instance.polygons = [coordinates];
+        }
+        instances.push(instance);
+    }
+    return instances;
+}
+
+/**
+ * Rasterizes imported instances into detections with instance masks, as inferYolo returns them. Needs OpenCV.js.
+ * @param {object[]} instances - The instances (see parseCocoAnnotations).
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {number} [upscale=1] - Factor by which each instance mask is enlarged around its center, like the mask
+ *   upscale of detected objects.
+ * @returns {object[]} The detections {label, labelName, score, box, mask}, without instances outside the image.
+ */
+function rasterizeAnnotations(instances, width, height, upscale = 1) {
+    const detections = [];
+    for (const instance of instances) {
+        const [x, y, instanceMat] = rasterizeInstance(instance, width, height);
+        const mask = cropScaledMask(instanceMat, x, y, upscale, width, height);
+        instanceMat.delete();
+        if (mask !== null) {
+            const {label, labelName, score} = instance;
+            detections.push({label, labelName, score, box: [mask.x, mask.y, mask.width, mask.height], mask});
+        }
+    }
+    return detections;
+}
+
+/**
+ * Draws an instance.
+ * @param {object} instance - An instance with polygons, rle or box.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {[number, number, cv.Mat]} The left and top of the drawn area and the area as CV_8UC1 matrix
+ *   (object pixel = 255).
+ */
+function rasterizeInstance(instance, width, height) {
+    if (instance.rle) {
+        const [rleHeight, rleWidth] = instance.rle.size;
+        const columns = cv.matFromArray(rleWidth, rleHeight, cv.CV_8UC1, decodeRle(instance.rle)); // column-major
+        const instanceMat = new cv.Mat();
+        cv.transpose(columns, instanceMat);
+        columns.delete();
+        if (rleWidth !== width || rleHeight !== height) {
+            cv.resize(instanceMat, instanceMat, new cv.Size(width, height), 0, 0, cv.INTER_NEAREST);
+        }
+        return [0, 0, instanceMat];
+    }
+
+    const [bx, by, bw, bh] = instance.box ?? [0, 0, 0, 0];
+    const polygons = (instance.polygons ?? [[bx, by, bx + bw, by, bx + bw, by + bh, bx, by + bh]])
+        .map(polygon => polygon.map((value, index) => Math.round(value * (index % 2 === 0 ? width : height))));
+    const xs = polygons.flatMap(polygon => polygon.filter((value, index) => index % 2 === 0));
+    const ys = polygons.flatMap(polygon => polygon.filter((value, index) => index % 2 === 1));
+    const x0 = Math.max(0, Math.min(...xs));
+    const y0 = Math.max(0, Math.min(...ys));
+    const x1 = Math.min(width, Math.max(...xs) + 1);
+    const y1 = Math.min(height, Math.max(...ys) + 1);
+    if (x1 <= x0 || y1 <= y0) {
+        return [0, 0, cv.Mat.zeros(1, 1, cv.CV_8UC1)]; // outside the image
+    }
+
+    const instanceMat = cv.Mat.zeros(y1 - y0, x1 - x0, cv.CV_8UC1);
+    const contours = new cv.MatVector();
+    for (const polygon of polygons) {
+        const contour = cv.matFromArray(polygon.length / 2, 1, cv.CV_32SC2,
+            polygon.map((value, index) => value - (index % 2 === 0 ? x0 : y0)));
+        contours.push_back(contour);
+        contour.delete();
+    }
+    cv.fillPoly(instanceMat, contours, new cv.Scalar(255));
+    contours.delete();
+    return [x0, y0, instanceMat];
+}
+
+/**
+ * Crops a drawn instance to its bounding rect, enlarges it and clips it to the image.
+ * @param {cv.Mat} instanceMat - The drawn area with CV_8UC1 data type.
+ * @param {number} x - The left of the area in the image.
+ * @param {number} y - The top of the area in the image.
+ * @param {number} upscale - The enlargement factor.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {{x: number, y: number, width: number, height: number, data: Uint8Array}|null} The instance mask,
+ *   null if it is empty.
+ */
+function cropScaledMask(instanceMat, x, y, upscale, width, height) {
+    const rect = cv.boundingRect(instanceMat);
+    if (rect.width === 0 || rect.height === 0) {
+        return null;
+    }
+    const roi = instanceMat.roi(rect);
+    const scaled = new cv.Mat();
+    const scaledWidth = Math.max(1, Math.round(rect.width * upscale));
+    const scaledHeight = Math.max(1, Math.round(rect.height * upscale));
+    cv.resize(roi, scaled, new cv.Size(scaledWidth, scaledHeight), 0, 0, cv.INTER_NEAREST);
+    roi.delete();
+
+    const left = x + rect.x - Math.round((scaledWidth - rect.width) / 2);
+    const top = y + rect.y - Math.round((scaledHeight - rect.height) / 2);
+    const x0 = Math.max(0, left);
+    const y0 = Math.max(0, top);
+    const x1 = Math.min(width, left + scaledWidth);
+    const y1 = Math.min(height, top + scaledHeight);
+    const clipped = scaled.roi(new cv.Rect(x0 - left, y0 - top, x1 - x0, y1 - y0));
+    const data = new Uint8Array(clipped.clone().data);
+    clipped.delete();
+    scaled.delete();
+    return {x: x0, y: y0, width: x1 - x0, height: y1 - y0, data};
+}
+
+/**
+ * Decodes an uncompressed COCO RLE.
+ * @param {{size: number[], counts: number[]}} rle - Alternating run lengths, starting with background.
+ * @returns {Uint8Array} The mask in column-major order (object pixel = 255).
+ */
+function decodeRle({size: [height, width], counts}) {
+    const data = new Uint8Array(width * height);
+    let position = 0;
+    counts.forEach((count, index) => {
+        if (index % 2 === 1) {
+            data.fill(255, position, position + count);
+        }
+        position += count;
+    });
+    return data;
+}
+
+/**
+ * Decodes the counts of a compressed COCO RLE, as written by pycocotools: each count is stored in 5 bit chunks
+ * as characters from 48, and from the third count on relative to the count two before.
+ * @param {string} text - The compressed counts.
+ * @returns {number[]} The run lengths.
+ */
+function decodeCompressedCounts(text) {
+    const counts = [];
+    let position = 0;
+    while (position < text.length) {
+        let value = 0;
+        let shift = 0;
+        let more = true;
+        while (more) {
+            const chunk = text.charCodeAt(position++) - 48;
+            value |= (chunk & 0x1f) << shift;
+            more = (chunk & 0x20) !== 0;
+            shift += 5;
+            if (!more && (chunk & 0x10) !== 0) {
+                value |= -1 << shift; // negative
+            }
+        }
+        if (counts.length > 2) {
+            value += counts[counts.length - 2];
+        }
+        counts.push(value);
+    }
+    return counts;
+}
+
+/**
+ * @param {number[]} points - Flat [x1, y1, x2, y2, ...] pixel coordinates (or [x, y, width, height]).
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {number[]} The coordinates normalized to the image size.
+ */
+function normalizePoints(points, width, height) {
+    return points.map((value, index) => value / (index % 2 === 0 ? width : height));
+}
@@ -1,76 +1,225 @@
-import {preprocessing, processInputImage} from './processInput.js';
-import {inferYolo} from "./yoloInference.js";
-import {inferMiGan} from "./miGanInference.js";
+import {readImageData} from './processInput.js';
+import {PipelineClient} from "./pipelineClient.js";
+import {buildCSV, maskFileName, resultFileName} from "./evaluation.js";
+import {classSelectionTag, findClassPreset, getClassNames, getModel, getModels, getPresetClassIds, loadManifest} from "./modelManifest.js";
+import {clearModelCache, isModelCacheAvailable} from "./modelCache.js";
+import {describeBackends} from "./backends.js";
+import {reviewDetections} from "./detectionReview.js";
+import {persistSettings, readSetting, restoreSettings, writeSetting} from "./settings.js";
+import {annotationFiles} from "./annotationExport.js";
+import {annotationBaseName, isAnnotationFile, parseCocoAnnotations, parseYoloSeg} from "./annotationImport.js";
+import {vectorGeoJson, vectorSvg} from "./vectorExport.js";
+import {attachRegionEditor} from "./regionEditor.js";
 
 window.start = start;
 window.downloadResult = downloadResult;
 window.dropdown = dropdown;
+window.cancel = cancel;
+window.clearCache = clearCache;
 
-let inputImageMat;
-let transImageMat;
-let resultImageMat;
-let xRatio;
-let yRatio;
-const segModelWidth = 640;
-const segModelHeight = 640;
+let inputImageData; // prepared input of the single image mode, the matrices themselves live in the worker
+let resultImageData;
+let resultAnnotations = null; // annotations of the objects removed from resultImageData, for the export
+let resultVectors = null; // outlines of the areas removed from resultImageData and the image they were removed from
+let runController = null; // AbortController of the running single or batch processing
+let regions = readSetting("regions", []); // include / exclude polygons, relative to the image size
+let regionEditor = null; // editor on the canvas of the current input image
 
 let segModel;
-let instanceSegSession;
-let miGanSession;
+let segModelEntry; // manifest entry of segModel, completed with the model metadata once loaded
 
 
 showLoadingIcon()
 
+const manifest = await loadManifest("model/manifest.json");
+
 
 
 /* --- Setup DOM Elements --- */
 
 /* -- Setup Selection Options -- */
 const segmodelSelect = document.getElementById("segModel");
+fillModelSelect(segmodelSelect, getModels(manifest, "segmentation"), manifest.defaults.segmentation);
+restoreSettings([segmodelSelect]);
 segModel = segmodelSelect.value;
+segModelEntry = getModel(manifest, segModel);
 segmodelSelect.addEventListener("change", (e) => {
     segModel = e.target.value;
-    console.log(segModel)
+    segModelEntry = getModel(manifest, segModel);
+    fillClassSelect(getSelectedClassNames());
+    fillOverrideTable();
     loadModel(segModel)
 });
 
+// Classes to remove: a preset of the manifest or a free selection
+const classPresetSelect = document.getElementById("classPreset");
+const classSelect = document.getElementById("classes");
+fillClassPresetSelect();
+fillClassSelect([]);
+applyClassPreset(manifest.defaults.classPreset);
+restoreSettings([classSelect]);
+updateClassPreset();
+classPresetSelect.addEventListener("change", () => {
+    applyClassPreset(classPresetSelect.value);
+    // selecting options in code fires no change event, which saves the selection and updates the overrides
+    classSelect.dispatchEvent(new Event("change"));
+});
+classSelect.addEventListener("change", () => {
+    updateClassPreset();
+    fillOverrideTable();
+});
+
+// Per-class overrides of score threshold and mask upscale by class name, empty fields use the sliders
+const overrideTable = document.getElementById("classOverrides");
+let classOverrides = readSetting("classOverrides", {});
+
+const backendSelect = document.getElementById("backend");
+restoreSettings([backendSelect]);
+backendSelect.addEventListener("change", () => loadModel(segModel));
+
 // Configure Downscaling value
 const isMobile = /Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
 const downscaleSelect = document.getElementById("downscaleMP")
 if (isMobile) {
     downscaleSelect.value = 2
 }
+restoreSettings([downscaleSelect]);
+
+// Horizontal-flip test-time augmentation, merging both passes by union or voting
+const flipTtaSelect = document.getElementById("flipTta")
+restoreSettings([flipTtaSelect]);
+
+// NMS and mask assembly by the ONNX helper graphs or in JavaScript
+const postprocessingSelect = document.getElementById("postprocessing")
+restoreSettings([postprocessingSelect]);
+
+// Shadows covered by the mask downshift or estimated from the dark areas below the objects
+const shadowModeSelect = document.getElementById("shadowMode")
+restoreSettings([shadowModeSelect]);
+
+// Export of the removed objects as annotations, with the download of the result or after a batch
+const annotationFormatSelect = document.getElementById("annotationFormat")
+restoreSettings([annotationFormatSelect]);
 
 
 /* -- Setup Slider options -- */
 var maskUpscaleSlider = document.getElementById("maskUpscale");
 var maskUpscaleVal = document.getElementById("maskUpscaleVal");
+var downshiftSlider = document.getElementById("downshift");
+var downshiftVal = document.getElementById("downshiftVal");
+var shadowExtentSlider = document.getElementById("shadowExtent");
+var shadowExtentVal = document.getElementById("shadowExtentVal");
+var scoreThresholdSlider = document.getElementById("scoreThreshold");
+var scoreThresholdVal = document.getElementById("scoreThresholdVal");
+var iouThresholdSlider = document.getElementById("iouThreshold");
+var iouThresholdVal = document.getElementById("iouThresholdVal");
+var maxInstancesSlider = document.getElementById("maxInstances");
+var maxInstancesVal = document.getElementById("maxInstancesVal");
+restoreSettings([maskUpscaleSlider, downshiftSlider, shadowExtentSlider, scoreThresholdSlider, iouThresholdSlider,
+    maxInstancesSlider]);
+
 maskUpscaleVal.innerHTML = (1 + maskUpscaleSlider.value * 0.01).toFixed(2); // Display the initlial slider value
 
 maskUpscaleSlider.oninput = function () {
     maskUpscaleVal.innerHTML = (1 + this.value * 0.01).toFixed(2);
+    updateOverridePlaceholders();
 }
 
-var downshiftSlider = document.getElementById("downshift");
-var downshiftVal = document.getElementById("downshiftVal");
 downshiftVal.innerHTML = (downshiftSlider.value * 0.001).toFixed(3); // Display the initlial slider value
 
 downshiftSlider.oninput = function () {
     downshiftVal.innerHTML = (this.value * 0.001).toFixed(3);
 }
 
-var scoreThresholdSlider = document.getElementById("scoreThreshold");
-var scoreThresholdVal = document.getElementById("scoreThresholdVal");
+shadowExtentVal.innerHTML = (shadowExtentSlider.value * 0.01).toFixed(2); // Display the initlial slider value
+
+shadowExtentSlider.oninput = function () {
+    shadowExtentVal.innerHTML = (this.value * 0.01).toFixed(2);
+}
+
 scoreThresholdVal.innerHTML = (scoreThresholdSlider.value * 0.01).toFixed(2) // Display the initlial slider value
 
 scoreThresholdSlider.oninput = function () {
     scoreThresholdVal.innerHTML = (scoreThresholdSlider.value * 0.01).toFixed(2)
+    updateOverridePlaceholders();
 };
 
+iouThresholdVal.innerHTML = (iouThresholdSlider.value * 0.01).toFixed(2) // Display the initlial slider value
+
+iouThresholdSlider.oninput = function () {
+    iouThresholdVal.innerHTML = (this.value * 0.01).toFixed(2)
+};
+
+maxInstancesVal.innerHTML = maxInstancesSlider.value // Display the initlial slider value
+
+maxInstancesSlider.oninput = function () {
+    maxInstancesVal.innerHTML = this.value
+};
+
+fillOverrideTable();
+
+// Detection filters: empty fields do not filter
+const minBoxAreaInput = document.getElementById("minBoxArea");
+const maxBoxAreaInput = document.getElementById("maxBoxArea");
+const minAspectRatioInput = document.getElementById("minAspectRatio");
+const maxAspectRatioInput = document.getElementById("maxAspectRatio");
+const skipEdgeChecker = document.getElementById("skipEdge");
+restoreSettings([minBoxAreaInput, maxBoxAreaInput, minAspectRatioInput, maxAspectRatioInput, skipEdgeChecker]);
+
+// Regions drawn on the input image and saved as templates, e.g. for series from the same tripod position
+const regionModeSelect = document.getElementById("regionMode");
+const regionInfo = document.getElementById("regionInfo");
+const regionTemplateSelect = document.getElementById("regionTemplate");
+const regionTemplateNameInput = document.getElementById("regionTemplateName");
+let regionTemplates = readSetting("regionTemplates", {});
+fillRegionTemplateSelect();
+showRegionInfo();
+document.getElementById("regionClose").addEventListener("click", () => regionEditor?.closePolygon());
+document.getElementById("regionUndo").addEventListener("click", () => {
+    if (regionEditor) {
+        regionEditor.undo();
+    } else {
+        setRegions(regions.slice(0, -1));
+    }
+});
+document.getElementById("regionClear").addEventListener("click", () => setRegions([]));
+regionModeSelect.addEventListener("change", () => regionEditor?.redraw());
+regionTemplateSelect.addEventListener("change", () => {
+    if (regionTemplateSelect.value !== "") {
+        setRegions(structuredClone(regionTemplates[regionTemplateSelect.value]));
+        regionTemplateNameInput.value = regionTemplateSelect.value;
+    }
+});
+document.getElementById("regionSave").addEventListener("click", () => {
+    const name = regionTemplateNameInput.value.trim();
+    if (name === "" || regions.length === 0) {
+        showProgress("Draw regions and enter a template name to save them");
+        return;
+    }
+    regionTemplates[name] = regions;
+    writeSetting("regionTemplates", regionTemplates);
+    fillRegionTemplateSelect();
+    regionTemplateSelect.value = name;
+});
+document.getElementById("regionDelete").addEventListener("click", () => {
+    delete regionTemplates[regionTemplateSelect.value];
+    writeSetting("regionTemplates", regionTemplates);
+    fillRegionTemplateSelect();
+});
+document.getElementById("regionDownload").addEventListener("click", () => {
+    const name = regionTemplateNameInput.value.trim() || "regions";
+    downloadText(JSON.stringify({regions}, null, 2), name + ".json", "application/json"); // for --regions of the CLI
+});
+
 
 /* -- Setup Checkbox Options -- */
 const evalModeChecker = document.getElementById("evalData")
 const continueChecker = document.getElementById("continue")
+const reviewChecker = document.getElementById("reviewDetections")
+const slicedChecker = document.getElementById("slicedDetection")
+const adjustImportedChecker = document.getElementById("adjustImported")
+const vectorOutputChecker = document.getElementById("vectorOutput")
+restoreSettings([evalModeChecker, continueChecker, reviewChecker, slicedChecker, adjustImportedChecker, vectorOutputChecker]);
 const batchModeChecker = document.getElementById("batchMode");
 updateStartButton(batchModeChecker.checked)
 
@@ -82,14 +231,17 @@ batchModeChecker.addEventListener("change", (e) => {
 /* -- Setup File Input -- */
 const fileSelectButton = document.getElementById("fileSelect");
 const inputElement = document.getElementById("inputImage");
+const imageTypes = inputElement.accept;
 
 // enable the fileSelect Custom Button to open Input Element
 fileSelectButton.addEventListener("click", (e) => {
         if (inputElement) {
             if (batchModeChecker.checked) {
                 inputElement.setAttribute("multiple", "")
+                inputElement.accept = imageTypes + ", .json, .txt" // annotations to import
             } else {
                 inputElement.removeAttribute("multiple")
+                inputElement.accept = imageTypes
             }
             inputElement.click();
         }
@@ -99,40 +251,123 @@ fileSelectButton.addEventListener("click", (e) => {
 inputElement.addEventListener('change', handleFileInputChange);
 
 
-/* -- Setup ONNX-Runtime Environment -- */
-ort.env.wasm.numThreads = 1; // WASM Backend is choosing #Threads
-const sessionOptions = {executionProviders: ["wasm"]};
+const progressText = document.getElementById("progress");
+
+
+/* -- Setup Inference Worker -- */
+const threadsSelect = document.getElementById("wasmThreads");
+const threadInfo = document.getElementById("threadInfo");
+restoreSettings([threadsSelect]);
+let pipeline = await startWorker();
 await loadModel(segModel)
 
+// the thread count of the wasm backend is fixed once it is initialized, so a new worker is needed
+threadsSelect.addEventListener("change", async () => {
+    cancel();
+    pipeline.terminate();
+    pipeline = await startWorker();
+    await loadModel(segModel);
+    if (inputImageData) {
+        const copy = new ImageData(new Uint8ClampedArray(inputImageData.data), inputImageData.width, inputImageData.height);
+        await pipeline.setInput(copy, null); // already downscaled
+    }
+});
+
+
+persistSettings([
+    segmodelSelect, classSelect, backendSelect, threadsSelect, downscaleSelect, flipTtaSelect, postprocessingSelect,
+    shadowModeSelect, annotationFormatSelect, maskUpscaleSlider, downshiftSlider, shadowExtentSlider, scoreThresholdSlider,
+    iouThresholdSlider, maxInstancesSlider,
+    evalModeChecker, continueChecker, reviewChecker, slicedChecker, adjustImportedChecker, vectorOutputChecker,
+    minBoxAreaInput, maxBoxAreaInput, minAspectRatioInput, maxAspectRatioInput, skipEdgeChecker
+]);
+
+
+/* -- Setup Offline Support -- */
+if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("sw.js").catch(error => console.warn("Service worker registration failed:", error));
+}
+if (new URLSearchParams(location.search).has("share-target")) {
+    await openSharedImage();
+}
+
 
 
 /* --- Main Functions --- */
 
+/**
+ * Starts the inference worker with the selected thread count and shows the thread configuration.
+ * @returns {Promise<PipelineClient>} The client of the worker.
+ */
+async function startWorker() {
+    const client = new PipelineClient({
+        manifest: manifest,
+        modelPath: "model/",
+        backend: backendSelect.value
+    }, parseInt(threadsSelect.value)); // 0: chosen by the number of cores
+    const wasm = await client.wasmInfo();
+    if (wasm.reason) {
+        console.warn("Running single-threaded:", wasm.reason);
+    }
+    showThreadInfo(wasm);
+    await disableUnsupportedBackends(client);
+    return client;
+}
+
 /**
  * Loads the ONNX models for segmentation and inpainting.
- * @param {string} segmentationModelName - The name of the segmentation model.
- * @param {string} inpaintModelName - The name of the inpainting model (default: "mi-gan-512").
+ * @param {string} segmentationModel - The manifest id of the segmentation model.
+ * @param {string} inpaintModel - The manifest id of the inpainting model (default: manifest default).
  */
-async function loadModel(segmentationModel, inpaintModel = "mi-gan-512") {
+async function loadModel(segmentationModel, inpaintModel = manifest.defaults.inpainting) {
     showLoadingIcon()
-    await new Promise(resolve => setTimeout(resolve, 30));
+    showProgress("Loading models")
+
+    const downloads = {}; // model id -> {loaded, total}
+    const onProgress = ({stage, model, loaded, total}) => {
+        if (stage === "download") {
+            downloads[model] = {loaded, total};
+            showDownloadProgress(downloads);
+        } else {
+            showStage({stage});
+        }
+    };
 
     console.time("Loading Models")
-    const segModelFile = "model/" + segmentationModel + "-seg.onnx";
-    const inpModelFile = "model/" + inpaintModel + ".onnx";
-
-    const [yolo, nms, mask] = await Promise.all([
-        ort.InferenceSession.create(segModelFile, sessionOptions),
-        ort.InferenceSession.create("model/nms-yolov8.onnx", sessionOptions),
-        ort.InferenceSession.create("model/mask-yolov8-seg.onnx", sessionOptions),
-    ]);
-
-    instanceSegSession = {yolo, nms, mask};
-    miGanSession = await ort.InferenceSession.create(inpModelFile, sessionOptions);
+    try {
+        const {backends, model} = await pipeline.load(segmentationModel, inpaintModel, onProgress, backendSelect.value);
+        if (model.id === segModel) {
+            applyLoadedModel(model);
+        }
+        showProgress("Models loaded (" + describeBackends(backends) + ")")
+    } catch (error) {
+        console.error(error);
+        showProgress("Error: " + error.message);
+    }
     console.timeEnd("Loading Models")
     removeLoadingIcon()
 }
 
+/**
+ * Takes over the class names of the loaded segmentation model. Custom models may have them only in their metadata,
+ * so the class selection is filled again if they differ from those of the manifest entry.
+ * @param {object} model - The manifest entry of the model, completed with its metadata (classes, inputSize).
+ */
+function applyLoadedModel(model) {
+    const known = getClassNames(manifest, segModelEntry);
+    segModelEntry = model;
+    if (known.join("\n") === model.classes.join("\n")) {
+        return;
+    }
+    fillClassSelect(getSelectedClassNames());
+    if (getSelectedClasses().length === 0) {
+        applyClassPreset(classPresetSelect.value || manifest.defaults.classPreset);
+        restoreSettings([classSelect]);
+        updateClassPreset();
+    }
+    fillOverrideTable();
+}
+
 
 /**
  * Handles the change event of the file input element.
@@ -153,31 +388,76 @@ async function handleFileInputChange(event) {
 }
 
 /**
- * Processes multiple files in batch mode.
- * @param {FileList} inputFiles - The list of files to process.
+ * Processes multiple files in batch mode. Annotation files among them (COCO JSON, YOLO TXT named like the image)
+ * replace the detection of the images they annotate.
+ * @param {FileList} selectedFiles - The list of files to process.
  */
-async function handleBatchFileProcessing(inputFiles) {
+async function handleBatchFileProcessing(selectedFiles) {
+    const inputFiles = Array.from(selectedFiles).filter(file => !isAnnotationFile(file.name));
+    const importFiles = Array.from(selectedFiles).filter(file => isAnnotationFile(file.name));
     showLoadingIcon()
-    await new Promise(resolve => setTimeout(resolve, 30));
+    const signal = beginCancellableRun();
 
     const times = []
     const fileNames = []
+    const backends = []
+    const annotatedImages = []
 
-    const upscaleFactor = parseFloat(maskUpscaleVal.innerHTML)
-    const downshift = parseFloat(downshiftVal.innerHTML)
-    const scoreThreshold = parseFloat(scoreThresholdVal.innerHTML)
-    for (let i = 0; i < inputFiles.length; i++) { // iterate over all Images
-        const [filename, time] = await inferenceStep(inputFiles[i], upscaleFactor, downshift, scoreThreshold, evalModeChecker.checked)
-        times.push(time)
-        fileNames.push(filename)
+    const options = readPipelineOptions()
+    try {
+        if (options.classes.length === 0) {
+            throw new Error("Please select at least one object class");
+        }
+        const imported = await readImportedAnnotations(importFiles);
+        for (let i = 0; i < inputFiles.length; i++) { // iterate over all Images
+            signal.throwIfAborted();
+            const instances = imported.get(annotationBaseName(inputFiles[i].name)) ?? null;
+            showProgress("Image " + (i + 1) + " / " + inputFiles.length + (instances ? " (imported annotations)" : ""))
+            const [filename, time, backend, annotations] = await inferenceStep(inputFiles[i], options, evalModeChecker.checked, signal, instances)
+            times.push(time)
+            fileNames.push(filename)
+            backends.push(backend)
+            if (annotations) {
+                annotatedImages.push(annotations)
+            }
 
-        console.log("Step:", i)
+            console.log("Step:", i)
 
+        }
+        showProgress("")
+    } catch (error) {
+        handleRunError(error, "Cancelled after " + fileNames.length + " / " + inputFiles.length + " images");
+    } finally {
+        if (evalModeChecker.checked && fileNames.length > 0) {
+            await downloadCSV(fileNames, times, backends, options);
+        }
+        if (annotatedImages.length > 0) {
+            await downloadAnnotations(annotatedImages);
+        }
+        endCancellableRun();
+        removeLoadingIcon()
     }
-    if (evalModeChecker.checked) {
-        await downloadCSV(fileNames, times);
+}
+
+/**
+ * Reads the annotation files selected in batch mode.
+ * @param {File[]} files - COCO JSON files and YOLO TXT files named like their images. classes.txt is skipped.
+ * @returns {Promise<Map<string, object[]>>} The instances per image base name (see annotationBaseName).
+ */
+async function readImportedAnnotations(files) {
+    const classNames = getClassNames(manifest, segModelEntry);
+    const imported = new Map();
+    for (const file of files) {
+        const text = await file.text();
+        if (file.name.toLowerCase().endsWith(".json")) {
+            for (const [name, instances] of parseCocoAnnotations(text, classNames)) {
+                imported.set(name, instances);
+            }
+        } else if (annotationBaseName(file.name) !== "classes") {
+            imported.set(annotationBaseName(file.name), parseYoloSeg(text, classNames));
+        }
     }
-    removeLoadingIcon()
+    return imported;
 }
 
 /**
@@ -186,97 +466,76 @@ async function handleBatchFileProcessing(inputFiles) {
  */
 async function handleSingleFileProcessing(inputFile) {
     await clearImagesContainer(); // Clear Images Container
-    if (inputImageMat && inputImageMat.isDeleted() === false) {
-        console.log("Free Up")
-        inputImageMat.delete();
-        transImageMat.delete();
-    }
     console.time("Processing Input");
 
-    [inputImageMat, transImageMat, xRatio, yRatio] = await processInputImage(inputFile, segModelWidth, segModelHeight, downscaleSelect.value);
-    showImageMat(inputImageMat);
+    inputImageData = await pipeline.setInput(await readImageData(inputFile), getDownscale());
+    showInputImage();
     console.timeEnd("Processing Input")
 }
 
+/**
+ * Opens the image shared to the installed app, which the service worker (sw.js) stored in the share cache.
+ * @returns {Promise<void>}
+ */
+async function openSharedImage() {
+    history.replaceState(null, "", location.pathname); // a reload should not open the image again
+    const cache = await caches.open("autokorrektur-share");
+    const response = await cache.match("shared-image");
+    if (!response) {
+        console.warn("No shared image found.");
+        return;
+    }
+    const name = decodeURIComponent(response.headers.get("X-File-Name") ?? "shared.jpeg");
+    const file = new File([await response.blob()], name, {type: response.headers.get("Content-Type") ?? ""});
+    await cache.delete("shared-image");
+
+    batchModeChecker.checked = false;
+    updateStartButton(false);
+    await handleSingleFileProcessing(file);
+}
+
 /**
  * Performs a single inference step for batchMode, including preprocessing, inference, and result handling.
  * Used in batch processing.
  * @param {File} inputImageFile - The input image file.
- * @param {number} upscaleFactor - The mask upscaling factor.
- * @param {number} downshift - The mask downshift amount.
- * @param {number} scoreThreshold - The score threshold for segmentation.
+ * @param {object} options - The pipeline options (see readPipelineOptions).
  * @param {boolean} [evalMode=false] - Whether evaluation mode is active.
- * @returns {Promise<[string, number]>} A tuple containing the filename and elapsed time.
+ * @param {AbortSignal} [signal] - Cancels the inference of this file.
+ * @param {object[]|null} [imported=null] - Imported annotation instances to remove instead of detected objects.
+ * @returns {Promise<[string, number, string, object|null]>} A tuple containing the filename, elapsed time, used
+ *   backend and the annotations of the result image if an export format is selected.
  */
-async function inferenceStep(inputImageFile, upscaleFactor, downshift, scoreThreshold, evalMode = false) {
+async function inferenceStep(inputImageFile, options, evalMode = false, signal = undefined, imported = null) {
     const startTime = performance.now();
-    console.time("Processing Input")
-
-    let [inputImageMat, transImageMat, xRatio, yRatio] = await processInputImage(inputImageFile, segModelWidth, segModelHeight, downscaleSelect.value);
-    // showImageMat(inputImageMat);
-    console.timeEnd("Processing Input")
+    const image = await readImageData(inputImageFile);
+    // before process() transfers the pixels to the worker
+    const originalUrl = vectorOutputChecker.checked ? imageDataToUrl(image) : null;
 
     // Auto Start Inference and download Result
-    let [result, mask] = await startInference(inputImageMat, transImageMat, xRatio, yRatio, upscaleFactor, downshift, scoreThreshold, evalMode)
+    const {result, mask, annotations, vectors, timings} = await pipeline.process(image, getDownscale(), options, {
+        annotations: annotationFormatSelect.value !== "none",
+        vectors: vectorOutputChecker.checked,
+        imported,
+        signal
+    });
     const elapsedTime = performance.now() - startTime;
-    const fileName = inputImageFile.name.split(".")[0] + "_m-" + upscaleFactor + "_d-" + downshift + "_s-" + scoreThreshold + "_p-" + downscaleSelect.value
-
-    await downloadMatAsJpeg(result, fileName)
+    const fileName = resultFileName(inputImageFile.name, {
+        ...options,
+        downscale: downscaleSelect.value,
+        classes: imported ? "imported" : classSelectionTag(manifest, segModelEntry, options.classes),
+        filters: imported ? {} : options.filters
+    });
+
+    await downloadImageDataAsJpeg(result, fileName)
     await new Promise(resolve => setTimeout(resolve, 300));
 
     if (evalMode) {
-        await downloadMatAsJpeg(mask, inputImageFile.name.split(".")[0] + "_mask")
+        await downloadImageDataAsJpeg(mask, maskFileName(inputImageFile.name))
     }
-    result.delete();
-    mask.delete();
-    inputImageMat.delete();
-    transImageMat.delete();
-    return [fileName, elapsedTime]
-}
-
-/**
- * @param {cv.Mat} inputImageMat - The original input image matrix with CV_8UC3 data type .
- * @param {cv.Mat} transImageMat - The transformed image matrix with CV_8UC3 data type, resized for the segmentation model.
- * @param {number} xRatio - The aspect ratio of inputs width to the biggest side of input.
- * @param {number} yRatio - The aspect ratio of inputs height to the biggest side of input.
- * @param {number} [maskUpscale=1.2] - Factor by which the segmentation mask is upscaled.
- * @param {number} [downshift=0.03] - Relative amount (percentage of image height) to shift down the mask.
- * @param {number} [scoreThreshold=0.2] - Confidence threshold for detections in the NMS.
- * @param {boolean} [evalMode=false] - If True, images are not displayed.
- * @returns {Promise<[cv.Mat, cv.Mat]>}  The resulting image matrix with CV_8UC3 data type and the used mask image matrix with CV_8UC1 data type.
- */
-async function startInference(inputImageMat, transImageMat, xRatio, yRatio, maskUpscale = 1.2, downshift = 0.03, scoreThreshold = 0.2, evalMode = false) {
-    await clearImagesContainer();
-
-    console.time("Segmentaion Inference")
-    const mask = await inferYolo(transImageMat, xRatio, yRatio, instanceSegSession, segModelWidth, segModelHeight, maskUpscale, scoreThreshold) // background pixel = 255 object pixel = 0
-    console.timeEnd("Segmentaion Inference")
-
-    console.time("Scaling Mask")
-    const resizedMask = new cv.Mat();
-    cv.resize(mask, resizedMask, new cv.Size(inputImageMat.cols, inputImageMat.rows), 0, 0, cv.INTER_LANCZOS4); // see for variants https://docs.opencv.org/3.4/da/d54/group__imgproc__transform.html#ga5bb5a1fea74ea38e1a5445ca803ff121
-    mask.delete();
-
-    const downshiftedMask = await shiftDown(resizedMask, downshift)
-    console.timeEnd("Scaling Mask")
-
-    cv.bitwise_and(resizedMask, downshiftedMask, downshiftedMask); // combine the two masks
-    resizedMask.delete();
-
-    console.time("MiGan Inference")
-    const result = await inferMiGan(inputImageMat, downshiftedMask, miGanSession);
-    console.timeEnd("MiGan Inference")
-
-    if (!evalMode) {
-        const overlayedImg = await layover(inputImageMat, downshiftedMask);
-
-        await showImageMat(inputImageMat, "Original")
-        await showImageMat(overlayedImg, "Mask")
-        await showImageMat(result, "Result")
-        overlayedImg.delete();
+    if (vectors) {
+        await downloadVectors(vectors, originalUrl, fileName);
     }
-
-    return [result, downshiftedMask]
+    return [fileName, elapsedTime, describeBackends(timings.backends), annotations ? {fileName, ...annotations} : null]
 }
 
 
@@ -288,45 +547,124 @@ async function startInference(inputImageMat, transImageMat, xRatio, yRatio, mask
  * @returns {Promise<void>}
  */
 async function start() {
-    showLoadingIcon()
-
-    if (!inputImageMat || !transImageMat || !xRatio || !yRatio) {
+    if (!inputImageData) {
         console.error('Please select an image');
         return;
     }
+    showLoadingIcon()
+    const signal = beginCancellableRun();
 
-    await new Promise(resolve => setTimeout(resolve, 30));
     console.log("Manual Start")
-    const upscaleFactor = parseFloat(maskUpscaleVal.innerHTML)
-    const downshift = parseFloat(downshiftVal.innerHTML)
-    const scoreThreshold = parseFloat(scoreThresholdVal.innerHTML)
+    const options = readPipelineOptions()
 
-    const [result, mask] = await startInference(inputImageMat, transImageMat, xRatio, yRatio, upscaleFactor, downshift, scoreThreshold)
+    try {
+        if (options.classes.length === 0) {
+            throw new Error("Please select at least one object class");
+        }
+        const flags = {
+            overlay: true,
+            continueWithResult: continueChecker.checked,
+            annotations: annotationFormatSelect.value !== "none",
+            vectors: vectorOutputChecker.checked,
+            onProgress: showStage,
+            signal
+        };
+        const original = inputImageData;
+        const {result, overlay, annotations, vectors, timings} = reviewChecker.checked
+            ? await reviewAndRemove(options, flags)
+            : await pipeline.run(options, flags);
+
+        await clearImagesContainer();
+        showInputImage("Original")
+        showImageData(overlay, "Mask")
+        showImageData(result, "Result")
+        resultImageData = result;
+        resultAnnotations = annotations ? {fileName: "result", ...annotations} : null;
+        resultVectors = vectors ? {vectors, originalUrl: imageDataToUrl(original)} : null;
+
+        if (continueChecker.checked) {
+            inputImageData = result
+        }
+        showProgress(describeTimings(timings))
+    } catch (error) {
+        handleRunError(error, "Cancelled");
+    } finally {
+        endCancellableRun();
+        removeLoadingIcon()
+    }
+}
 
-    mask.delete();
-    resultImageMat = result;
+/**
+ * Detects the objects, lets the user choose which of them to remove and removes them.
+ * @param {object} options - The pipeline options.
+ * @param {object} flags - The flags of PipelineClient.run.
+ * @returns {Promise<{result: ImageData, mask: ImageData, overlay: ImageData, detections: object[], timings: object}>}
+ *   The response of the removal, with the timings of the detection added.
+ */
+async function reviewAndRemove(options, flags) {
+    const detected = await pipeline.detect(options, {onProgress: flags.onProgress, signal: flags.signal});
+    await clearImagesContainer();
+    showProgress("Choose the objects to remove")
+    const indices = await reviewDetections(document.getElementById("imagesContainer"), inputImageData,
+        detected.detections, detected.filtered, flags.signal);
+
+    const removal = await pipeline.removeDetections(indices, options, flags);
+    removal.timings = {
+        ...detected.timings,
+        ...removal.timings,
+        // without the time spent choosing
+        total: detected.timings.segmentation + (detected.timings.flipTTA ?? 0) + removal.timings.total
+    };
+    return removal;
+}
 
-    if (continueChecker.checked) {
-        safeDeleteMat(transImageMat);
-        [transImageMat, xRatio, yRatio] = preprocessing(result, segModelWidth, segModelHeight)
-        safeDeleteMat(inputImageMat);
-        inputImageMat = result
-    }
-    removeLoadingIcon()
+/**
+ * Cancels the running single or batch processing. The worker frees all matrices of the cancelled run.
+ */
+function cancel() {
+    runController?.abort();
 }
 
 /**
- * Downloads the current result image.
+ * Downloads the current result image and, if selected, the annotations of the removed objects and the outlines of
+ * the removed areas.
  */
 async function downloadResult() {
-    if (resultImageMat && !resultImageMat.isDeleted()) {
-        await downloadMatAsJpeg(resultImageMat, "result");
+    if (resultImageData) {
+        await downloadImageDataAsJpeg(resultImageData, "result");
+        if (annotationFormatSelect.value !== "none") {
+            if (resultAnnotations) {
+                await downloadAnnotations([resultAnnotations]);
+            } else {
+                showProgress("Run the removal again to export its annotations.");
+            }
+        }
+        if (vectorOutputChecker.checked) {
+            if (resultVectors) {
+                await downloadVectors(resultVectors.vectors, resultVectors.originalUrl, "result");
+            } else {
+                showProgress("Run the removal again to export its vector masks.");
+            }
+        }
     } else {
         console.warn("No result image available to download.");
         alert("No result image to download. Please run inference first.");
     }
 }
 
+/**
+ * Deletes the cached model files. The loaded models stay usable, the next page load downloads them again.
+ * @returns {Promise<void>}
+ */
+async function clearCache() {
+    if (!isModelCacheAvailable()) {
+        showProgress("Model cache is not available in this browser.");
+        return;
+    }
+    await clearModelCache();
+    showProgress("Model cache cleared.");
+}
+
 /**
  * Toggles the visibility of the dropdown menu.
  */
@@ -349,12 +687,12 @@ async function clearImagesContainer() {
 }
 
 /**
- * Show the image matrix in the image container.
- * @param inputImageMat
+ * Show the image in the image container.
+ * @param {ImageData} imageData The image to show.
  * @param {String} label Label to display under the image.
  * @returns {HTMLCanvasElement} The canvas element that was created.
  */
-async function showImageMat(inputImageMat, label = '') {
+function showImageData(imageData, label = '') {
 
     const container = document.getElementById('imagesContainer');
 
@@ -363,10 +701,8 @@ async function showImageMat(inputImageMat, label = '') {
 
     // Create a new canvas for this image
     const canvas = document.createElement('canvas');
-    const canvasId = 'canvas_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
-    canvas.id = canvasId;
-    canvas.width = inputImageMat.cols;
-    canvas.height = inputImageMat.rows;
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
 
     // Add canvas to the container
     imageItem.appendChild(canvas);
@@ -381,48 +717,34 @@ async function showImageMat(inputImageMat, label = '') {
     container.appendChild(imageItem);
 
     // Render the image on the canvas
-    await cv.imshow(canvasId, inputImageMat);
+    canvas.getContext("2d").putImageData(imageData, 0, 0);
 
     return canvas;
 }
 
 /**
- * Download a cv.Mat as a JPEG file.
- * @param {cv.Mat} mat The image matrix with CV_8UC3 / CV_8UC1 / CV_8UC4 data type to download.
- * @param filename The name of the resulting file.
+ * Shows the input image with the region editor on it.
+ * @param {String} [label] Label to display under the image.
  */
-async function downloadMatAsJpeg(mat, filename) {
-    // Get dimensions and number of channels
-    const cols = mat.cols;
-    const rows = mat.rows;
-    const channels = mat.channels();
-    let imageData;
-    let clampedData;
-
-    // Convert the cv.Mat data to Uint8ClampedArray
-    if (channels === 3) { // Convert RGB to RGBA
-        const rgbaMat = new cv.Mat();
-        cv.cvtColor(mat, rgbaMat, cv.COLOR_RGB2RGBA);
-        clampedData = new Uint8ClampedArray(rgbaMat.data);
-        rgbaMat.delete();
-    } else if (channels === 1) { // Convert Gray to RGBA
-        const rgbaMat = new cv.Mat();
-        cv.cvtColor(mat, rgbaMat, cv.COLOR_GRAY2RGBA);
-        clampedData = new Uint8ClampedArray(rgbaMat.data);
-        rgbaMat.delete();
-    } else if (channels === 4) {
-        // If already RGBA, use the data directly
-        clampedData = new Uint8ClampedArray(mat.data);
-    } else {
-        console.error("Unsupported number of channels: " + channels);
-        return;
-    }
-    imageData = new ImageData(clampedData, cols, rows);
+function showInputImage(label = '') {
+    const canvas = showImageData(inputImageData, label);
+    regionEditor = attachRegionEditor(canvas, inputImageData, {
+        getRegions: () => regions,
+        getMode: () => regionModeSelect.value,
+        onChange: setRegions
+    });
+}
 
+/**
+ * Download an image as a JPEG file.
+ * @param {ImageData} imageData The image to download.
+ * @param filename The name of the resulting file.
+ */
+async function downloadImageDataAsJpeg(imageData, filename) {
     // Create an off-screen canvas
     const canvas = document.createElement("canvas");
-    canvas.width = cols;
-    canvas.height = rows;
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
     const ctx = canvas.getContext("2d");
 
     ctx.putImageData(imageData, 0, 0);
@@ -438,120 +760,429 @@ async function downloadMatAsJpeg(mat, filename) {
     }
 }
 
+/**
+ * Encodes an image as JPEG data URL.
+ * @param {ImageData} imageData - The image.
+ * @returns {string} The data URL.
+ */
+function imageDataToUrl(imageData) {
+    const canvas = document.createElement("canvas");
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext("2d").putImageData(imageData, 0, 0);
+    return canvas.toDataURL("image/jpeg", 0.9);
+}
+
 /**
  * Generates and triggers the download of a CSV file.
  * @param {string[]} fileNames - Array of filenames.
  * @param {number[]} times - Array of corresponding processing times.
+ * @param {string[]} backends - Array of the backends the images were processed on.
+ * @param {object} options - The pipeline options of the batch.
  */
-async function downloadCSV(fileNames, times) {
-
-    let csvContent = "Filename,Speed,SegScore,RealScore,KonsScore,NatScore,NewImage,OldImage\n";
+async function downloadCSV(fileNames, times, backends, options) {
+    const csvContent = buildCSV(fileNames, times, backends, options);
+    downloadText(csvContent, "results.csv", "text/csv;charset=utf-8;");
+}
 
-    for (let i = 0; i < fileNames.length; i++) {
-        csvContent += fileNames[i] + "," + times[i] + "\n";
+/**
+ * Downloads the annotation files of result images in the selected export format.
+ * @param {{fileName: string, width: number, height: number, instances: object[]}[]} images - The annotations of
+ *   the result images (see annotationFiles).
+ */
+async function downloadAnnotations(images) {
+    const classNames = getClassNames(manifest, segModelEntry);
+    for (const {name, content, type} of annotationFiles(annotationFormatSelect.value, images, classNames)) {
+        downloadText(content, name, type);
+        await new Promise(resolve => setTimeout(resolve, isMobile ? 1000 : 300)); // browsers drop rapid downloads
     }
+}
 
-    const blob = new Blob([csvContent], {type: "text/csv;charset=utf-8;"});
+/**
+ * Downloads the outlines of the removed areas as SVG over the original image and as GeoJSON.
+ * @param {object} vectors - The polygons (see vectorizeResult).
+ * @param {string} originalUrl - Data URL of the image the areas were removed from, embedded into the SVG.
+ * @param {string} fileName - The name of the result image without extension.
+ */
+async function downloadVectors(vectors, originalUrl, fileName) {
+    downloadText(vectorSvg(vectors, originalUrl), fileName + ".svg", "image/svg+xml");
+    await new Promise(resolve => setTimeout(resolve, isMobile ? 1000 : 300)); // browsers drop rapid downloads
+    downloadText(vectorGeoJson(vectors), fileName + ".geojson", "application/geo+json");
+}
+
+/**
+ * Triggers the download of a text file.
+ * @param {string} content - The content of the file.
+ * @param {string} fileName - The name of the file.
+ * @param {string} type - The MIME type.
+ */
+function downloadText(content, fileName, type) {
+    const blob = new Blob([content], {type});
     const link = document.createElement("a");
     if (link.download !== undefined) {
         const url = URL.createObjectURL(blob);
         link.setAttribute("href", url);
-        link.setAttribute("download", "results.csv");
+        link.setAttribute("download", fileName);
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 }
 
 /**
- * Shifts an image down and fills the top with white pixels.
- * @param {cv.Mat} inputMat The input image matrix.
- * @param {number} [shiftAmount=0.025] The amount of pixels to shift down.
- * @returns {cv.Mat} The shifted image matrix.
+ * Fills a select element with the models of the manifest.
+ * @param {HTMLSelectElement} select - The select element.
+ * @param {object[]} models - The model entries of the manifest.
+ * @param {string} selectedId - The id of the initially selected model.
  */
-async function shiftDown(inputMat, shiftAmount = 0.025) {
-    if (shiftAmount === 0) {
-        return inputMat.clone();
+function fillModelSelect(select, models, selectedId) {
+    for (const model of models) {
+        const option = document.createElement("option");
+        option.value = model.id;
+        option.textContent = model.name ?? model.id;
+        if (model.deviceTier) {
+            option.title = "Recommended device tier: " + model.deviceTier;
+        }
+        option.selected = model.id === selectedId;
+        select.appendChild(option);
     }
-    const originalWidth = inputMat.cols;
-    const originalHeight = inputMat.rows;
+}
 
-    shiftAmount = Math.round(originalHeight * shiftAmount);
-    // Ensure shift amount is valid
-    if (shiftAmount < 0 || shiftAmount >= originalHeight) {
-        console.error("Shift amount must be greater than 0 and less than image height");
-        return inputMat.clone();
+/**
+ * Disables the backend options the inference worker cannot use on this device.
+ * If the selected backend is unsupported, wasm is selected instead.
+ * @param {PipelineClient} client - The client of the inference worker.
+ * @returns {Promise<void>}
+ */
+async function disableUnsupportedBackends(client) {
+    const supported = await client.probeBackends();
+    for (const option of backendSelect.options) {
+        option.disabled = option.value !== "auto" && !supported.includes(option.value);
+    }
+    if (backendSelect.selectedOptions[0]?.disabled) {
+        backendSelect.value = "wasm";
     }
+}
 
-    // Create a new matrix with same size as input
-    const shiftedMat = new cv.Mat(originalHeight, originalWidth, inputMat.type());
-    let roi = null;
-    let destRoi = null;
-    try {
-        shiftedMat.setTo(new cv.Scalar(255, 255, 255, 255));
+/**
+ * Shows how many threads the wasm backend uses and, if it is single-threaded, why.
+ * @param {{numThreads: number, maxThreads: number, simd: boolean, reason: string}} wasm - See PipelineClient.wasmInfo.
+ */
+function showThreadInfo(wasm) {
+    let text = "Running with " + wasm.numThreads + (wasm.numThreads === 1 ? " thread" : " threads")
+        + (wasm.simd ? " and SIMD." : ", SIMD is not supported.");
+    if (wasm.reason) {
+        text += " Single-threaded: " + wasm.reason;
+    }
+    threadInfo.textContent = text;
+    for (const option of threadsSelect.options) {
+        option.disabled = parseInt(option.value) > wasm.maxThreads;
+    }
+}
 
-        const sourceRect = new cv.Rect(0, 0, originalWidth, originalHeight - shiftAmount);
-        const destRect = new cv.Rect(0, shiftAmount, originalWidth, originalHeight - shiftAmount);
+/**
+ * Fills the class preset select with the presets of the manifest and an entry for free selections.
+ */
+function fillClassPresetSelect() {
+    for (const preset of manifest.classPresets ?? []) {
+        const option = document.createElement("option");
+        option.value = preset.id;
+        option.textContent = preset.name ?? preset.id;
+        option.title = preset.classes.join(", ");
+        classPresetSelect.appendChild(option);
+    }
+    const custom = document.createElement("option");
+    custom.value = "custom";
+    custom.textContent = "Custom selection";
+    classPresetSelect.appendChild(custom);
+}
 
-        roi = inputMat.roi(sourceRect);
-        destRoi = shiftedMat.roi(destRect);
-        roi.copyTo(destRoi);
+/**
+ * Fills the class select with the classes of the selected segmentation model.
+ * @param {string[]} selectedNames - The names of the classes to select, e.g. those of the previous model.
+ */
+function fillClassSelect(selectedNames) {
+    classSelect.replaceChildren();
+    getClassNames(manifest, segModelEntry).forEach((name, id) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = name;
+        option.selected = selectedNames.includes(name);
+        classSelect.appendChild(option);
+    });
+    updateClassPreset();
+}
 
-        return shiftedMat;
-    } catch (error) {
-        console.error("Error in shiftDown:", error);
-        if (shiftedMat && !shiftedMat.isDeleted()) {
-            shiftedMat.delete();
-        }
-        return inputMat.clone();
-    } finally {
-        if (roi && !roi.isDeleted()) {
-            roi.delete();
+/**
+ * Selects the classes of a preset. The "custom" entry keeps the current selection.
+ * @param {string} presetId - The id of the preset.
+ */
+function applyClassPreset(presetId) {
+    if (presetId === undefined || presetId === "custom") {
+        return;
+    }
+    const classIds = getPresetClassIds(manifest, segModelEntry, presetId);
+    for (const option of classSelect.options) {
+        option.selected = classIds.includes(parseInt(option.value));
+    }
+    classPresetSelect.value = presetId;
+}
+
+/**
+ * Shows the preset matching the selected classes, or "custom".
+ */
+function updateClassPreset() {
+    const preset = findClassPreset(manifest, segModelEntry, getSelectedClasses());
+    classPresetSelect.value = preset?.id ?? "custom";
+}
+
+/**
+ * @returns {number[]} The ids of the selected classes.
+ */
+function getSelectedClasses() {
+    return Array.from(classSelect.selectedOptions, option => parseInt(option.value));
+}
+
+/**
+ * @returns {string[]} The names of the selected classes.
+ */
+function getSelectedClassNames() {
+    return Array.from(classSelect.selectedOptions, option => option.textContent);
+}
+
+/**
+ * Reads the pipeline options from the options panel.
+ * @returns {{maskUpscale: number, downshift: number, shadowMode: string, shadowExtent: number, scoreThreshold: number,
+ *   iouThreshold: number,
+ *   maxInstances: number, classes: number[], classOverrides: object, sliced: boolean, flipTTA: string,
+ *   postprocessing: string, adjustImported: boolean}} The options of AutoKorrekturPipeline.process and removeAnnotated.
+ */
+function readPipelineOptions() {
+    return {
+        maskUpscale: parseFloat(maskUpscaleVal.innerHTML),
+        downshift: parseFloat(downshiftVal.innerHTML),
+        shadowMode: shadowModeSelect.value,
+        shadowExtent: parseFloat(shadowExtentVal.innerHTML),
+        scoreThreshold: parseFloat(scoreThresholdVal.innerHTML),
+        iouThreshold: parseFloat(iouThresholdVal.innerHTML),
+        maxInstances: parseInt(maxInstancesVal.innerHTML),
+        classes: getSelectedClasses(),
+        classOverrides: getClassOverrides(),
+        sliced: slicedChecker.checked,
+        flipTTA: flipTtaSelect.value,
+        postprocessing: postprocessingSelect.value,
+        filters: readDetectionFilters(),
+        regions,
+        adjustImported: adjustImportedChecker.checked
+    };
+}
+
+/**
+ * Replaces the regions, saves them for the next visit and redraws them.
+ * @param {{mode: string, points: number[][]}[]} newRegions - The regions (see applyRegions).
+ */
+function setRegions(newRegions) {
+    regions = newRegions;
+    writeSetting("regions", regions);
+    regionEditor?.redraw();
+    showRegionInfo();
+}
+
+/**
+ * Shows the number of regions of each mode.
+ */
+function showRegionInfo() {
+    const count = (mode) => regions.filter(region => region.mode === mode).length;
+    regionInfo.textContent = regions.length === 0 ? "No regions, objects are removed everywhere"
+        : count("include") + " include, " + count("exclude") + " exclude regions";
+}
+
+/**
+ * Fills the template select with the saved region templates.
+ */
+function fillRegionTemplateSelect() {
+    regionTemplateSelect.replaceChildren(new Option("-", ""));
+    for (const name of Object.keys(regionTemplates).sort()) {
+        regionTemplateSelect.appendChild(new Option(name, name));
+    }
+}
+
+/**
+ * @returns {object} The detection filters of the options panel (see filterDetections), without the empty fields.
+ */
+function readDetectionFilters() {
+    const filters = {skipEdge: skipEdgeChecker.checked};
+    for (const [filter, input] of [
+        ["minArea", minBoxAreaInput],
+        ["maxArea", maxBoxAreaInput],
+        ["minAspectRatio", minAspectRatioInput],
+        ["maxAspectRatio", maxAspectRatioInput]
+    ]) {
+        if (input.value !== "") {
+            filters[filter] = parseFloat(input.value);
         }
-        if (destRoi && !destRoi.isDeleted()) {
-            destRoi.delete();
+    }
+    return filters;
+}
+
+/**
+ * Fills the override table with a row per selected class.
+ */
+function fillOverrideTable() {
+    const body = overrideTable.tBodies[0];
+    body.replaceChildren();
+    for (const name of getSelectedClassNames()) {
+        const row = body.insertRow();
+        row.insertCell().textContent = name;
+        for (const [setting, min, max, label] of [
+            ["scoreThreshold", 0, 1, "Score threshold of "],
+            ["maskUpscale", 1, 2, "Mask upscale of "]
+        ]) {
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = min;
+            input.max = max;
+            input.step = "0.01";
+            input.dataset.setting = setting;
+            input.value = classOverrides[name]?.[setting] ?? "";
+            input.setAttribute("aria-label", label + name);
+            input.addEventListener("change", () => setClassOverride(name, setting, input.value));
+            row.insertCell().appendChild(input);
         }
     }
+    updateOverridePlaceholders();
 }
 
 /**
- * Layover function to blend the original image with a red mask overlay.
- * @param {cv.Mat} original image matrix with CV_8UC3 data type.
- * @param {cv.Mat} mask image matrix with CV_8UC1 data type.
- * @returns {cv.Mat} Blended image matrix with CV_8UC3 data type.
+ * Shows the values of the global sliders in the empty override fields.
  */
-async function layover(original, mask) {
-    const alpha = 0.5;
+function updateOverridePlaceholders() {
+    for (const input of overrideTable.querySelectorAll("input")) {
+        input.placeholder = input.dataset.setting === "scoreThreshold" ? scoreThresholdVal.innerHTML : maskUpscaleVal.innerHTML;
+    }
+}
 
-    let redOverlay = new cv.Mat(original.rows, original.cols, original.type(), new cv.Scalar(255, 0, 0));
+/**
+ * Sets or, for an empty value, removes an override and saves the overrides.
+ * @param {string} name - The class name.
+ * @param {string} setting - "scoreThreshold" or "maskUpscale".
+ * @param {string} value - The value of the input field.
+ */
+function setClassOverride(name, setting, value) {
+    const override = {...classOverrides[name]};
+    if (value === "") {
+        delete override[setting];
+    } else {
+        override[setting] = parseFloat(value);
+    }
+    classOverrides = {...classOverrides, [name]: override};
+    if (Object.keys(override).length === 0) {
+        delete classOverrides[name];
+    }
+    writeSetting("classOverrides", classOverrides);
+}
 
-    let blended = new cv.Mat();
-    cv.addWeighted(original, 1 - alpha, redOverlay, alpha, 0, blended);
+/**
+ * @returns {Object<number, {scoreThreshold?: number, maskUpscale?: number}>} The overrides by class id of the
+ *   selected segmentation model.
+ */
+function getClassOverrides() {
+    const classNames = getClassNames(manifest, segModelEntry);
+    return Object.fromEntries(Object.entries(classOverrides)
+        .filter(([name]) => classNames.includes(name))
+        .map(([name, override]) => [classNames.indexOf(name), override]));
+}
 
-    let maskInv = new cv.Mat();
-    cv.bitwise_not(mask, maskInv);
+/**
+ * Reads the selected downscaling value.
+ * @returns {number|null} The max Megapixel to be downscaled to or null.
+ */
+function getDownscale() {
+    return downscaleSelect.value === "null" ? null : parseFloat(downscaleSelect.value);
+}
 
-    let result = original.clone();
-    blended.copyTo(result, maskInv);
+/**
+ * Creates the AbortController of a new run and shows the cancel button.
+ * @returns {AbortSignal} The signal aborted by the cancel button.
+ */
+function beginCancellableRun() {
+    runController = new AbortController();
+    document.getElementById("cancelInference").removeAttribute("hidden");
+    return runController.signal;
+}
 
+/**
+ * Hides the cancel button after a run.
+ */
+function endCancellableRun() {
+    runController = null;
+    document.getElementById("cancelInference").setAttribute("hidden", "");
+}
 
-    redOverlay.delete();
-    blended.delete();
-    maskInv.delete();
+/**
+ * Shows that a run was cancelled or logs and shows its error.
+ * @param {Error} error - The error the run failed with.
+ * @param {string} cancelText - The status text to show if the run was cancelled.
+ */
+function handleRunError(error, cancelText) {
+    if (error.name === "AbortError") {
+        showProgress(cancelText);
+    } else {
+        console.error(error);
+        showProgress("Error: " + error.message);
+    }
+}
 
-    return result;
+/**
+ * Shows a status text below the start button.
+ * @param {string} text - The text to show, empty to hide it.
+ */
+function showProgress(text) {
+    progressText.textContent = text;
 }
 
 /**
- * Safely deletes a cv.Mat object if it exists and is not already deleted.
- * @param {cv.Mat} mat - The cv.Mat object to delete.
+ * Shows the summed download progress of the models in percent and MB.
+ * @param {Object<string, {loaded: number, total: number}>} downloads - The progress per model id.
  */
-function safeDeleteMat(mat) {
-    if (mat != null && !mat.isDeleted()) {
-        mat.delete();
+function showDownloadProgress(downloads) {
+    const progress = Object.values(downloads);
+    const loaded = progress.reduce((sum, {loaded}) => sum + loaded, 0);
+    const total = progress.reduce((sum, {total}) => sum + total, 0);
+    const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+    if (total > 0) {
+        showProgress("Loading models: " + Math.floor(loaded / total * 100) + "% (" + toMB(loaded) + " / " + toMB(total) + " MB)");
+    } else {
+        showProgress("Loading models: " + toMB(loaded) + " MB");
     }
 }
 
+/**
+ * Shows the step the inference worker is working on.
+ * @param {{stage: string}} progress - The progress message of the worker.
+ */
+function showStage({stage, tile, tiles}) {
+    const stageNames = {
+        backend: "Choosing backend", segmentation: "Detecting objects", flip: "Detecting objects in flipped image",
+        mask: "Building mask", inpainting: "Inpainting"
+    };
+    showProgress((stageNames[stage] ?? stage) + (tile ? " (tile " + tile + " / " + tiles + ")" : ""));
+}
+
+
+/**
+ * @param {object} timings - The timings of a run.
+ * @returns {string} The total time and backend, plus the time of the flip augmentation if it ran.
+ */
+function describeTimings(timings) {
+    let text = "Done in " + (timings.total / 1000).toFixed(1) + " s (" + describeBackends(timings.backends) + ")";
+    if (timings.flipTTA !== undefined) {
+        text += ", flip augmentation " + (timings.flipTTA / 1000).toFixed(1) + " s";
+    }
+    return text;
+}
 
 /**
  * Disables or enables the start button based on the provided boolean value.
@@ -0,0 +1,268 @@
+export {backendOptions, probeBackends, backendCandidates, describeBackends, wasmSupport, configureWasm, FallbackSession}
+
+/**
+ * The selectable backend settings. "auto" picks the fastest supported backend by a short benchmark.
+ * @type {string[]}
+ */
+const backendOptions = ["auto", "wasm", "webgl", "webgpu"];
+
+const benchmarkResults = new Map(); // model id -> backends ordered by benchmark speed
+
+// messages of run errors caused by the backend or the device, which another backend may not have; other errors,
+// like wrong input shapes or an unsupported model, would occur on every backend
+const backendErrorPatterns = [
+    /\bdevice (is |was )?lost\b/i, // a lost WebGPU device, as the browsers report it
+    /context lost|CONTEXT_LOST_WEBGL/i, // a lost WebGL context
+    /failed to compile shader|createShader\(|createBuffer\(\) returned null/i, // WebGL resources
+    /\bnot implemented\b/i, // an operator the backend lacks, e.g. "kernel not implemented: ..."
+];
+const backendErrorNames = ["GPUOutOfMemoryError", "GPUInternalError"]; // WebGPU errors of an exhausted or failed device
+
+// smallest module using a SIMD instruction (v128.const, i8x16.popcnt), as in wasm-feature-detect
+const simdTestModule = new Uint8Array([
+    0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+]);
+
+/**
+ * Probes which ONNX Runtime execution providers the device supports.
+ * @returns {Promise<string[]>} The supported backends, preferred first. "wasm" is always the last one.
+ */
+async function probeBackends() {
+    const supported = [];
+    try {
+        if (typeof navigator !== "undefined" && navigator.gpu && await navigator.gpu.requestAdapter()) {
+            supported.push("webgpu");
+        }
+    } catch (error) {
+        console.warn("WebGPU probe failed:", error);
+    }
+    if (typeof OffscreenCanvas !== "undefined" && new OffscreenCanvas(1, 1).getContext("webgl2")) {
+        supported.push("webgl");
+    }
+    supported.push("wasm");
+    return supported;
+}
+
+/**
+ * Determines the order in which sessions try the backends for a backend setting.
+ * The wasm backend is always the last fallback.
+ * @param {string} setting - One of backendOptions.
+ * @param {object} benchmark - Used for "auto".
+ * @param {string|Uint8Array} benchmark.source - The model file or bytes to benchmark with.
+ * @param {object} benchmark.model - The manifest entry of the model, its id and inputSize are used.
+ * @param {object} benchmark.sessionOptions - The options for ort.InferenceSession.create.
+ * @returns {Promise<string[]>} The backends in the order to try.
+ */
+async function backendCandidates(setting, {source, model, sessionOptions}) {
+    const supported = await probeBackends();
+    if (setting === "auto") {
+        if (!benchmarkResults.has(model.id)) {
+            benchmarkResults.set(model.id, await benchmarkBackends(source, model, sessionOptions, supported));
+        }
+        return benchmarkResults.get(model.id);
+    }
+    if (!supported.includes(setting)) {
+        console.warn("Backend " + setting + " is not supported on this device, using wasm.");
+    }
+    return [...new Set([setting, "wasm"])].filter(backend => supported.includes(backend));
+}
+
+/**
+ * Runs the model once for warm-up and once timed on every supported backend.
+ * @param {string|Uint8Array} source - The model file or bytes.
+ * @param {object} model - The manifest entry of the model.
+ * @param {object} sessionOptions - The options for ort.InferenceSession.create.
+ * @param {string[]} supported - The supported backends.
+ * @returns {Promise<string[]>} The backends that ran the model, fastest first, followed by wasm as fallback.
+ */
+async function benchmarkBackends(source, model, sessionOptions, supported) {
+    const [width, height] = model.inputSize ?? [640, 640];
+    const timings = [];
+    for (const backend of supported) {
+        let session = null;
+        try {
+            session = await ort.InferenceSession.create(source, {...sessionOptions, executionProviders: [backend]});
+            const input = new ort.Tensor("float32", new Float32Array(3 * width * height), [1, 3, height, width]);
+            await session.run({[session.inputNames[0]]: input}); // warm-up, e.g. shader compilation
+            const startTime = performance.now();
+            await session.run({[session.inputNames[0]]: input});
+            timings.push({backend, time: performance.now() - startTime});
+        } catch (error) {
+            console.warn("Backend " + backend + " failed in benchmark:", error);
+        } finally {
+            await session?.release();
+        }
+    }
+    timings.sort((a, b) => a.time - b.time);
+    return [...new Set([...timings.map(({backend}) => backend), "wasm"])];
+}
+
+/**
+ * Detects what the wasm backend can use in this context (page or worker).
+ * Threads need SharedArrayBuffer, which browsers only offer to cross-origin isolated pages, i.e. pages served with
+ * the headers Cross-Origin-Opener-Policy: same-origin and Cross-Origin-Embedder-Policy: require-corp (see serve.py).
+ * @returns {{simd: boolean, sharedArrayBuffer: boolean, crossOriginIsolated: boolean, cores: number,
+ *   maxThreads: number, reason: string}} The detected support. reason explains why maxThreads is 1, else it is empty.
+ */
+function wasmSupport() {
+    const simd = typeof WebAssembly === "object" && WebAssembly.validate(simdTestModule);
+    const sharedArrayBuffer = typeof SharedArrayBuffer === "function";
+    // Node.js has no isolation, SharedArrayBuffer is always available there
+    const crossOriginIsolated = typeof self === "undefined" || self.crossOriginIsolated === true;
+    const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 1;
+
+    let reason = "";
+    if (!crossOriginIsolated) {
+        reason = "The page is not cross-origin isolated (the server does not send the COOP/COEP headers, " +
+            "start it with serve.py), so the browser allows no shared memory for threads.";
+    } else if (!sharedArrayBuffer) {
+        reason = "This browser does not support SharedArrayBuffer, which threads need.";
+    } else if (cores === 1) {
+        reason = "The device reports a single CPU core.";
+    }
+    return {simd, sharedArrayBuffer, crossOriginIsolated, cores, maxThreads: reason ? 1 : cores, reason};
+}
+
+/**
+ * Sets the thread count of the wasm backend. Must be called before the first session is created. ONNX Runtime
+ * detects SIMD itself, its build needs it.
+ * @param {object} env - ort.env.
+ * @param {number} requestedThreads - The number of threads, 0 to choose by the number of cores.
+ * @param {object} [support=wasmSupport()] - The detected support.
+ * @returns {number} The configured number of threads.
+ */
+function configureWasm(env, requestedThreads, support = wasmSupport()) {
+    // ONNX Runtime's default: half of the cores, at most 4, as more threads rarely pay off
+    const threads = requestedThreads > 0 ? requestedThreads : Math.min(4, Math.ceil(support.cores / 2));
+    env.wasm.numThreads = Math.min(threads, support.maxThreads);
+    if (!support.simd) {
+        console.warn("WebAssembly SIMD is not supported, the wasm backend of ONNX Runtime will not work.");
+    }
+    return env.wasm.numThreads;
+}
+
+/**
+ * Summarizes the backends the sessions ran on, e.g. for the timing output.
+ * @param {Object<string, string>} backends - The backend per session, as in timings.backends.
+ * @returns {string} The backend if all sessions used the same one, else "session:backend" pairs.
+ */
+function describeBackends(backends) {
+    const used = new Set(Object.values(backends));
+    if (used.size === 1) {
+        return [...used][0];
+    }
+    return Object.entries(backends).map(([session, backend]) => session + ":" + backend).join(" ");
+}
+
+/**
+ * An inference session that falls back to the next backend when session creation fails or a run fails with an error
+ * of the backend or device (see isBackendError).
+ * It offers run, inputNames, outputNames and release like ort.InferenceSession, plus the backend actually used.
+ */
+class FallbackSession {
+
+    /**
+     * Use FallbackSession.create.
+     * @param {string|Uint8Array} source - The model file or bytes.
+     * @param {object} sessionOptions - The options for ort.InferenceSession.create, without execution providers.
+     * @param {string[]} candidates - The backends still to try after the current one.
+     * @param {string} name - The name of the session for log messages.
+     */
+    constructor(source, sessionOptions, candidates, name) {
+        this.source = source;
+        this.sessionOptions = sessionOptions;
+        this.candidates = candidates;
+        this.name = name;
+        this.session = null;
+        this.backend = null;
+    }
+
+    /**
+     * Creates the session on the first backend that succeeds.
+     * @param {string|Uint8Array} source - The model file or bytes.
+     * @param {object} sessionOptions - The options for ort.InferenceSession.create.
+     * @param {string[]} candidates - The backends to try, in order.
+     * @param {string} name - The name of the session for log messages.
+     * @returns {Promise<FallbackSession>}
+     */
+    static async create(source, sessionOptions, candidates, name) {
+        const fallbackSession = new FallbackSession(source, sessionOptions, [...candidates], name);
+        if (!await fallbackSession.fallback(null)) {
+            throw new Error("No backend could create the session " + name);
+        }
+        return fallbackSession;
+    }
+
+    get inputNames() {
+        return this.session.inputNames;
+    }
+
+    get outputNames() {
+        return this.session.outputNames;
+    }
+
+    /**
+     * Runs the session, switching to the next backend if the run fails with a backend or device error. Other errors
+     * are thrown as they are, so they are not hidden behind a slower backend.
+     * @param {object} feeds - The input tensors.
+     * @returns {Promise<object>} The output tensors.
+     */
+    async run(feeds) {
+        for (;;) {
+            try {
+                return await this.session.run(feeds);
+            } catch (error) {
+                if (!isBackendError(error) || !await this.fallback(error)) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Replaces the session by one on the next candidate backend.
+     * @param {Error|null} error - The error of the current backend, null on creation.
+     * @returns {Promise<boolean>} False if no backend is left.
+     */
+    async fallback(error) {
+        if (error !== null) {
+            console.warn("Backend " + this.backend + " failed for " + this.name + ", falling back:", error);
+        }
+        await this.session?.release();
+        this.session = null;
+        while (this.candidates.length > 0) {
+            const backend = this.candidates.shift();
+            try {
+                this.session = await ort.InferenceSession.create(this.source,
+                    {...this.sessionOptions, executionProviders: [backend]});
+                this.backend = backend;
+                if (this.candidates.length === 0) {
+                    this.source = null; // nothing left to fall back to, free the model bytes
+                }
+                return true;
+            } catch (creationError) {
+                console.warn("Backend " + backend + " could not create " + this.name + ":", creationError);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Releases the session.
+     * @returns {Promise<void>}
+     */
+    async release() {
+        await this.session?.release();
+        this.session = null;
+    }
+}
+
+
+/**
+ * @param {*} error - The error of a session run.
+ * @returns {boolean} True if the error comes from the backend or device, so another backend may succeed.
+ */
+function isBackendError(error) {
+    return backendErrorNames.includes(error?.constructor?.name) || backendErrorNames.includes(error?.name)
+        || backendErrorPatterns.some(pattern => pattern.test(error?.message ?? String(error)));
+}
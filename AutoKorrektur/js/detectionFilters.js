@@ -0,0 +1,46 @@
+export {filterDetections}
+
+const edgeMargin = 0.005; // distance to the image border (fraction of the side) up to which a box touches it
+
+/**
+ * Sorts out detections that are usually better left in the image than inpainted: tiny background objects, huge
+ * boxes, unusual shapes and objects cut off by the image border.
+ * @param {object[]} detections - The detections with box [x, y, width, height] in image coordinates (see inferYolo).
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {object} [filters]
+ * @param {number} [filters.minArea=0] - The minimum box area in percent of the image area.
+ * @param {number} [filters.maxArea=100] - The maximum box area in percent of the image area.
+ * @param {number} [filters.minAspectRatio=0] - The minimum ratio of box width to box height.
+ * @param {number} [filters.maxAspectRatio=Infinity] - The maximum ratio of box width to box height.
+ * @param {boolean} [filters.skipEdge=false] - Whether boxes touching the image border are filtered.
+ * @returns {[object[], object[]]} A tuple containing the detections to remove and the filtered ones, the latter
+ *   copied with filteredBy set to the first failed filter ("area", "aspectRatio" or "edge").
+ */
+function filterDetections(detections, width, height, {
+    minArea = 0, maxArea = 100, minAspectRatio = 0, maxAspectRatio = Infinity, skipEdge = false
+} = {}) {
+    const kept = [];
+    const filtered = [];
+    const marginX = width * edgeMargin;
+    const marginY = height * edgeMargin;
+    for (const detection of detections) {
+        const [x, y, w, h] = detection.box;
+        const area = w * h / (width * height) * 100;
+        const aspectRatio = h > 0 ? w / h : Infinity;
+        let filteredBy = null;
+        if (area < minArea || area > maxArea) {
+            filteredBy = "area";
+        } else if (aspectRatio < minAspectRatio || aspectRatio > maxAspectRatio) {
+            filteredBy = "aspectRatio";
+        } else if (skipEdge && (x <= marginX || y <= marginY || x + w >= width - marginX || y + h >= height - marginY)) {
+            filteredBy = "edge";
+        }
+        if (filteredBy === null) {
+            kept.push(detection);
+        } else {
+            filtered.push({...detection, filteredBy});
+        }
+    }
+    return [kept, filtered];
+}
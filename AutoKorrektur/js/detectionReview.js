@@ -0,0 +1,222 @@
+export {reviewDetections}
+
+const removeColor = "rgb(255, 0, 0)";
+const keepColor = "rgb(255, 255, 255)";
+const filteredColor = "rgb(160, 160, 160)";
+
+// how the filters that sorted out a detection are named in the review (see filterDetections and applyRegions)
+const filterNames = {area: "size", aspectRatio: "aspect ratio", edge: "image border", region: "region"};
+
+/**
+ * Shows the detections on the input image and lets the user choose which of them to remove, by tapping an
+ * instance on the canvas or its entry in the list. Objects to remove are tinted red like in layover, objects to
+ * keep are only outlined with a dashed line. Detections sorted out by the filters are shown greyed out with the
+ * filter that dropped them and cannot be chosen, so the user sees what the filters keep in the image.
+ * @param {HTMLElement} container - The element the review is added to.
+ * @param {ImageData} image - The input image the objects were detected in.
+ * @param {object[]} detections - The detections with box and instance mask in image coordinates (see inferYolo).
+ * @param {object[]} [filtered=[]] - The detections sorted out by the filters, with filteredBy set.
+ * @param {AbortSignal} [signal] - Ends the review, the promise then rejects with the reason of the signal.
+ * @returns {Promise<number[]>} The indices of the detections to remove, once the user confirms.
+ */
+function reviewDetections(container, image, detections, filtered = [], signal = undefined) {
+    const removed = detections.map(() => true);
+    const tints = detections.map(({mask}) => mask ? createTint(mask, removeColor) : null);
+    const filteredTints = filtered.map(({mask}) => mask ? createTint(mask, filteredColor) : null);
+
+    const imageItem = document.createElement("div");
+    imageItem.className = "imageItem reviewItem";
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const hint = document.createElement("p");
+    if (detections.length > 0) {
+        hint.textContent = "Tap an object to keep or remove it";
+    } else {
+        hint.textContent = filtered.length > 0 ? "All objects found were sorted out by the filters" : "No objects found";
+    }
+    imageItem.append(canvas, hint);
+
+    const listItem = document.createElement("div");
+    listItem.className = "detectionList";
+    const list = document.createElement("ul");
+    const checkboxes = detections.map((detection, index) => {
+        const entry = document.createElement("li");
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = true;
+        checkbox.addEventListener("change", () => {
+            removed[index] = checkbox.checked;
+            draw();
+        });
+        label.append(checkbox, " " + describeDetection(detection));
+        entry.appendChild(label);
+        list.appendChild(entry);
+        return checkbox;
+    });
+    for (const detection of filtered) {
+        const entry = document.createElement("li");
+        const label = document.createElement("label");
+        label.className = "filtered";
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.disabled = true;
+        label.append(checkbox, " " + describeDetection(detection) + " (" + describeFilter(detection) + ")");
+        entry.appendChild(label);
+        list.appendChild(entry);
+    }
+    const confirmButton = document.createElement("button");
+    confirmButton.type = "button";
+    confirmButton.className = "removeSelected";
+    confirmButton.textContent = "Remove selected objects";
+    listItem.append(list, confirmButton);
+
+    container.append(imageItem, listItem);
+
+    /**
+     * Draws the image with the detections in their current state.
+     */
+    function draw() {
+        const ctx = canvas.getContext("2d");
+        ctx.putImageData(image, 0, 0);
+        const lineWidth = Math.max(2, Math.round(Math.max(image.width, image.height) / 400));
+        ctx.lineWidth = lineWidth;
+        ctx.font = (lineWidth * 7) + "px sans-serif";
+        ctx.textBaseline = "bottom";
+
+        // the filtered ones first, so the detections to choose from are drawn on top
+        filtered.forEach((detection, index) => {
+            if (filteredTints[index]) {
+                ctx.drawImage(filteredTints[index], detection.mask.x, detection.mask.y);
+            }
+            drawOutline(ctx, detection, filteredColor, [lineWidth, lineWidth * 2],
+                describeDetection(detection) + " (" + describeFilter(detection) + ")");
+        });
+        detections.forEach((detection, index) => {
+            if (removed[index] && tints[index]) {
+                ctx.drawImage(tints[index], detection.mask.x, detection.mask.y);
+            }
+            drawOutline(ctx, detection, removed[index] ? removeColor : keepColor,
+                removed[index] ? [] : [lineWidth * 3, lineWidth * 2], describeDetection(detection));
+        });
+    }
+
+    canvas.addEventListener("click", (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.floor((event.clientX - rect.left) * canvas.width / rect.width);
+        const y = Math.floor((event.clientY - rect.top) * canvas.height / rect.height);
+        const index = detectionAt(detections, x, y);
+        if (index !== -1) {
+            removed[index] = !removed[index];
+            checkboxes[index].checked = removed[index];
+            draw();
+        }
+    });
+
+    draw();
+
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            confirmButton.disabled = true;
+            reject(signal.reason);
+        };
+        if (signal?.aborted) {
+            abort();
+            return;
+        }
+        signal?.addEventListener("abort", abort, {once: true});
+        confirmButton.addEventListener("click", () => {
+            signal?.removeEventListener("abort", abort);
+            confirmButton.disabled = true;
+            resolve(removed.flatMap((remove, index) => remove ? [index] : []));
+        }, {once: true});
+    });
+}
+
+/**
+ * Outlines the box of a detection and writes its label above it.
+ * @param {CanvasRenderingContext2D} ctx - The context, with line width and font set.
+ * @param {{box: number[]}} detection - The detection.
+ * @param {string} color - The color of outline and label.
+ * @param {number[]} lineDash - The dash pattern of the outline, empty for a solid line.
+ * @param {string} text - The label.
+ */
+function drawOutline(ctx, {box: [x, y, w, h]}, color, lineDash, text) {
+    const lineWidth = ctx.lineWidth;
+    ctx.setLineDash(lineDash);
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x, y, w, h);
+
+    const textHeight = lineWidth * 8;
+    const textY = y >= textHeight ? y : y + textHeight; // keep the label inside the image
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(x, textY - textHeight, ctx.measureText(text).width + lineWidth * 2, textHeight);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x + lineWidth, textY);
+}
+
+/**
+ * @param {{labelName: string, score: number}} detection
+ * @returns {string} The label and score of the detection, e.g. "car 0.87".
+ */
+function describeDetection({labelName, score}) {
+    return labelName + " " + score.toFixed(2);
+}
+
+/**
+ * @param {{filteredBy: string}} detection - A detection sorted out by the filters.
+ * @returns {string} Which filter sorted it out, e.g. "filtered by size".
+ */
+function describeFilter({filteredBy}) {
+    return "filtered by " + (filterNames[filteredBy] ?? filteredBy);
+}
+
+/**
+ * Finds the detection at a point. The instance mask decides where available, overlapping objects resolve to the
+ * smallest one, so objects in front of larger ones can be chosen.
+ * @param {object[]} detections - The detections.
+ * @param {number} x - The x coordinate in the image.
+ * @param {number} y - The y coordinate in the image.
+ * @returns {number} The index of the detection, -1 if there is none.
+ */
+function detectionAt(detections, x, y) {
+    let found = -1;
+    let foundArea = Infinity;
+    detections.forEach(({box, mask}, index) => {
+        const hit = mask
+            ? x >= mask.x && y >= mask.y && x < mask.x + mask.width && y < mask.y + mask.height
+                && mask.data[(y - mask.y) * mask.width + (x - mask.x)] !== 0
+            : x >= box[0] && y >= box[1] && x < box[0] + box[2] && y < box[1] + box[3];
+        const area = box[2] * box[3];
+        if (hit && area < foundArea) {
+            found = index;
+            foundArea = area;
+        }
+    });
+    return found;
+}
+
+/**
+ * Creates a half transparent image of an instance mask in one color.
+ * @param {{width: number, height: number, data: Uint8Array}} mask - The instance mask (object pixel = 255).
+ * @param {string} color - The color as "rgb(r, g, b)".
+ * @returns {HTMLCanvasElement} The tint in the size of the mask.
+ */
+function createTint(mask, color) {
+    const [red, green, blue] = color.match(/\d+/g).map(Number);
+    const canvas = document.createElement("canvas");
+    canvas.width = mask.width;
+    canvas.height = mask.height;
+    const tint = new ImageData(mask.width, mask.height);
+    for (let i = 0; i < mask.data.length; i++) {
+        if (mask.data[i] !== 0) {
+            tint.data[i * 4] = red;
+            tint.data[i * 4 + 1] = green;
+            tint.data[i * 4 + 2] = blue;
+            tint.data[i * 4 + 3] = 128;
+        }
+    }
+    canvas.getContext("2d").putImageData(tint, 0, 0);
+    return canvas;
+}
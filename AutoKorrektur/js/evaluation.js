@@ -0,0 +1,93 @@
+export {resultFileName, maskFileName, buildCSV}
+
+/**
+ * Builds the name of a batch result file, encoding the used settings.
+ * @param {string} inputName - The name of the input file.
+ * @param {object} settings
+ * @param {number} settings.maskUpscale - The mask upscaling factor.
+ * @param {number} settings.downshift - The mask downshift amount.
+ * @param {string} [settings.shadowMode] - How the shadows were covered, "estimate" is encoded with
+ *   settings.shadowExtent.
+ * @param {number} [settings.shadowExtent=0.5] - The maximum extent of the estimated shadows.
+ * @param {number} settings.scoreThreshold - The score threshold for segmentation.
+ * @param {number|string|null} settings.downscale - The max Megapixel the input was downscaled to.
+ * @param {number} [settings.iouThreshold] - The IoU threshold of the NMS.
+ * @param {number} [settings.maxInstances] - The maximum number of instances per class.
+ * @param {string} [settings.classes] - The removed classes (see classSelectionTag in modelManifest.js).
+ * @param {boolean} [settings.sliced] - Whether tiles were searched too, encoded with settings.tileOverlap.
+ * @param {number} [settings.tileOverlap=0.2] - The overlap of the tiles.
+ * @param {string} [settings.flipTTA] - The mode of the flip augmentation, encoded unless "off".
+ * @param {object} [settings.filters] - The detection filters (see filterDetections), the active ones are encoded.
+ * @returns {string} The file name without extension.
+ */
+function resultFileName(inputName, {
+    maskUpscale, downshift, scoreThreshold, downscale, iouThreshold, maxInstances, classes, sliced, tileOverlap = 0.2,
+    flipTTA, filters = {}, shadowMode, shadowExtent = 0.5
+}) {
+    let fileName = baseName(inputName) + "_m-" + maskUpscale + "_d-" + downshift + "_s-" + scoreThreshold + "_p-" + downscale;
+    if (iouThreshold !== undefined) {
+        fileName += "_i-" + iouThreshold;
+    }
+    if (maxInstances !== undefined) {
+        fileName += "_k-" + maxInstances;
+    }
+    if (classes !== undefined) {
+        fileName += "_c-" + classes;
+    }
+    if (sliced) {
+        fileName += "_t-" + tileOverlap;
+    }
+    if (flipTTA !== undefined && flipTTA !== "off") {
+        fileName += "_f-" + flipTTA;
+    }
+    if (shadowMode === "estimate") {
+        fileName += "_h-" + shadowExtent;
+    }
+    const {minArea = 0, maxArea = 100, minAspectRatio = 0, maxAspectRatio = Infinity, skipEdge = false} = filters;
+    if (minArea > 0 || maxArea < 100) {
+        fileName += "_a-" + minArea + "-" + maxArea;
+    }
+    if (minAspectRatio > 0 || maxAspectRatio < Infinity) {
+        fileName += "_r-" + minAspectRatio + "-" + maxAspectRatio;
+    }
+    if (skipEdge) {
+        fileName += "_e";
+    }
+    return fileName;
+}
+
+/**
+ * Builds the name of the mask file written in evaluation mode.
+ * @param {string} inputName - The name of the input file.
+ * @returns {string} The file name without extension.
+ */
+function maskFileName(inputName) {
+    return baseName(inputName) + "_mask";
+}
+
+/**
+ * Builds the content of the evaluation CSV. The score columns are left empty for the evaluators.
+ * @param {string[]} fileNames - Array of filenames.
+ * @param {number[]} times - Array of corresponding processing times.
+ * @param {string[]} [backends=[]] - Array of the backends the images were processed on (see describeBackends).
+ * @param {object} [settings={}] - The detection settings of the batch, written into every row.
+ * @param {number} [settings.iouThreshold] - The IoU threshold of the NMS.
+ * @param {number} [settings.maxInstances] - The maximum number of instances per class.
+ * @returns {string} The CSV content.
+ */
+function buildCSV(fileNames, times, backends = [], {iouThreshold = "", maxInstances = ""} = {}) {
+    let csvContent = "Filename,Speed,SegScore,RealScore,KonsScore,NatScore,NewImage,OldImage,Backend,IoUThreshold,MaxInstances\n";
+
+    for (let i = 0; i < fileNames.length; i++) {
+        csvContent += fileNames[i] + "," + times[i] + ",,,,,,," + (backends[i] ?? "") + "," + iouThreshold + "," + maxInstances + "\n";
+    }
+    return csvContent;
+}
+
+/**
+ * @param {string} fileName
+ * @returns {string} The file name up to the first dot, without directories.
+ */
+function baseName(fileName) {
+    return fileName.split(/[\\/]/).pop().split(".")[0];
+}
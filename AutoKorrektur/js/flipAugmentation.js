@@ -0,0 +1,79 @@
+import {coverage, unionBox, unionMask} from "./tiling.js";
+
+export {flipModes, flipDetection, mergeFlipped}
+
+/**
+ * The modes of the horizontal-flip test-time augmentation. "union" keeps every object found in either pass,
+ * "vote" keeps the objects whose mean score of both passes reaches the score threshold.
+ * @type {string[]}
+ */
+const flipModes = ["off", "union", "vote"];
+
+const flipMatchThreshold = 0.5; // share of the smaller object covered by the other one to match them
+
+/**
+ * Mirrors a detection of the horizontally flipped image back into the original image.
+ * @param {object} detection - The detection in the coordinates of the flipped image (see inferYolo).
+ * @param {number} width - The width of the image.
+ * @returns {object} A new detection with mirrored box and instance mask.
+ */
+function flipDetection(detection, width) {
+    const [x, y, boxWidth, boxHeight] = detection.box;
+    const {mask} = detection;
+    let flippedMask = null;
+    if (mask) {
+        const data = new Uint8Array(mask.data.length);
+        for (let row = 0; row < mask.height; row++) {
+            const offset = row * mask.width;
+            for (let column = 0; column < mask.width; column++) {
+                data[offset + mask.width - 1 - column] = mask.data[offset + column];
+            }
+        }
+        flippedMask = {...mask, x: width - mask.x - mask.width, data};
+    }
+    return {...detection, box: [width - x - boxWidth, y, boxWidth, boxHeight], mask: flippedMask};
+}
+
+/**
+ * Merges the detections of the normal and the flipped pass. Each object is matched with the best scoring
+ * object of the same class in the other pass that covers most of it; matched objects get the union of both masks.
+ * @param {object[]} detections - The detections of the normal pass.
+ * @param {object[]} flippedDetections - The detections of the flipped pass, mirrored back (see flipDetection).
+ * @param {string} mode - "union" or "vote" (see flipModes).
+ * @param {function(number): number} scoreThresholdOf - The score threshold of a class id, used for voting.
+ * @returns {object[]} The merged detections. Union keeps the higher score of a match, vote the mean score of both
+ *   passes, counting a pass that missed the object as 0.
+ */
+function mergeFlipped(detections, flippedDetections, mode, scoreThresholdOf) {
+    const unmatched = new Set(flippedDetections);
+    const merged = [];
+    const keep = (detection, score) => {
+        if (mode !== "vote" || score >= scoreThresholdOf(detection.label)) {
+            merged.push({...detection, score});
+        }
+    };
+
+    for (const detection of [...detections].sort((a, b) => b.score - a.score)) {
+        let match = null;
+        for (const candidate of unmatched) {
+            if (candidate.label === detection.label && coverage(detection, candidate) > flipMatchThreshold
+                && (match === null || candidate.score > match.score)) {
+                match = candidate;
+            }
+        }
+        if (match === null) {
+            keep(detection, mode === "vote" ? detection.score / 2 : detection.score);
+            continue;
+        }
+        unmatched.delete(match);
+        keep({
+            ...detection,
+            box: unionBox(detection.box, match.box),
+            mask: unionMask(detection.mask, match.mask)
+        }, mode === "vote" ? (detection.score + match.score) / 2 : Math.max(detection.score, match.score));
+    }
+    for (const detection of unmatched) {
+        keep(detection, mode === "vote" ? detection.score / 2 : detection.score);
+    }
+    return merged;
+}
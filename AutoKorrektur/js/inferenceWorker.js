@@ -0,0 +1,345 @@
+/*
+ * Dedicated worker running all OpenCV and ONNX Runtime work of the page.
+ * It is a classic worker, because ort.all.min.js and opencv.js are classic scripts; the pipeline modules are
+ * loaded with a dynamic import. Messages are answered by PipelineClient (pipelineClient.js).
+ * ort.all.min.js is the ONNX Runtime bundle with the wasm, webgl and webgpu backends.
+ */
+importScripts("ort20/ort.all.min.js", "opencv.js");
+
+ort.env.wasm.wasmPaths = new URL("ort20/", self.location.href).href;
+
+let modulesPromise = null;
+let pipeline = null;
+let current = null; // prepared input of the single image mode: {image, transImage, xRatio, yRatio}
+let currentDetections = null; // detections in current, found by detect and waiting for removeDetections
+let currentFiltered = []; // detections of current sorted out by the filters, greyed out in the overlay of removeDetections
+const controllers = new Map(); // id of a running request -> AbortController
+
+const handlers = {init, probeBackends, load, setInput, run, detect, removeDetections, process: processImage};
+
+self.onmessage = async (event) => {
+    const {id, type, payload} = event.data;
+    if (type === "cancel") {
+        controllers.get(payload.id)?.abort();
+        return;
+    }
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    try {
+        const [response, transfer] = await handlers[type](payload, id, controller.signal);
+        self.postMessage({id, type: "result", payload: response}, transfer);
+    } catch (error) {
+        if (error?.name !== "AbortError") {
+            console.error(error);
+        }
+        self.postMessage({id, type: "error", payload: {name: error?.name, message: error?.message ?? String(error)}});
+    } finally {
+        controllers.delete(id);
+    }
+};
+
+
+/* --- Message Handlers --- */
+
+/**
+ * Waits for OpenCV.js, loads the pipeline modules and configures ONNX Runtime.
+ * @param {{config: object, numThreads: number}} payload - The pipeline config and the number of WASM threads
+ *   (0 to choose by the number of cores).
+ * @returns {Promise<[{wasm: object}, Transferable[]]>} The wasm support detected in the worker (see wasmSupport)
+ *   with the configured numThreads.
+ */
+async function init({config, numThreads}) {
+    const [{AutoKorrekturPipeline}, , , {fetchModelCached, isModelCacheAvailable}] = await loadModules();
+    const {wasmSupport, configureWasm} = await import("./backends.js");
+    const support = wasmSupport();
+    const configuredThreads = configureWasm(ort.env, numThreads, support);
+    pipeline = new AutoKorrekturPipeline({
+        ...config,
+        fetchModel: isModelCacheAvailable() ? fetchModelCached : null
+    });
+    return [{wasm: {...support, numThreads: configuredThreads}}, []];
+}
+
+/**
+ * Probes the backends ONNX Runtime can use in this worker.
+ * @returns {Promise<[{backends: string[]}, Transferable[]]>} The supported backends, preferred first.
+ */
+async function probeBackends() {
+    const {probeBackends} = await import("./backends.js");
+    return [{backends: await probeBackends()}, []];
+}
+
+/**
+ * Loads the ONNX models, reporting the download progress.
+ * @param {{segmentationModel: string, inpaintModel: string, backend: string}} payload - The backend setting is
+ *   kept for later loads if given.
+ * @param {number} id - The message id, used for progress messages.
+ * @returns {Promise<[{backends: object, model: object}, Transferable[]]>} The backend each session runs on and the
+ *   manifest entry of the segmentation model, completed by its metadata (see resolveSegmentationModel).
+ */
+async function load({segmentationModel, inpaintModel, backend}, id) {
+    if (backend !== undefined) {
+        pipeline.backend = backend;
+    }
+    await pipeline.load(segmentationModel, inpaintModel, pipelineHooks(id, null));
+    return [{backends: pipeline.activeBackends(), model: pipeline.segmentationModel}, []];
+}
+
+/**
+ * Prepares an image as input of the single image mode and keeps it until the next call.
+ * @param {{image: ImageData, downscale: number|null}} payload - The decoded RGBA image.
+ * @returns {Promise<[{image: ImageData}, Transferable[]]>} The prepared (resized) input image.
+ */
+async function setInput({image, downscale}) {
+    const [, {processImageMat}] = await loadModules();
+    freeCurrentInput();
+
+    const [imageMat, transImage, xRatio, yRatio] = processImageMat(
+        cv.matFromImageData(image), pipeline.segModelWidth, pipeline.segModelHeight, downscale);
+    current = {image: imageMat, transImage, xRatio, yRatio};
+
+    const imageData = matToImageData(imageMat);
+    return [{image: imageData}, [imageData.data.buffer]];
+}
+
+/**
+ * Runs the pipeline on the input set by setInput.
+ * @param {{options: object, overlay: boolean, continueWithResult: boolean, annotations: boolean, vectors: boolean}} payload
+ *   The pipeline options, whether the result becomes the next input and the outputs to add (see toResponse).
+ * @param {number} id - The message id, used for progress messages.
+ * @param {AbortSignal} signal - Aborted by a cancel message.
+ * @returns {Promise<[object, Transferable[]]>} See toResponse.
+ */
+async function run({options, continueWithResult, ...outputs}, id, signal) {
+    if (current === null) {
+        throw new Error("Please select an image");
+    }
+    currentDetections = null;
+    const {result, mask, detections, filtered, timings} = await pipeline.process(current, options, pipelineHooks(id, signal));
+    return await respondAndContinue(result, mask, continueWithResult,
+        () => toResponse(current.image, result, mask, detections, filtered, timings, outputs));
+}
+
+/**
+ * Detects the objects in the input set by setInput and keeps them for removeDetections.
+ * @param {{options: object}} payload - The pipeline options.
+ * @param {number} id - The message id, used for progress messages.
+ * @param {AbortSignal} signal - Aborted by a cancel message.
+ * @returns {Promise<[{detections: object[], filtered: object[], timings: object}, Transferable[]]>} Copies of the
+ *   detections and of those sorted out by the filters.
+ */
+async function detect({options}, id, signal) {
+    if (current === null) {
+        throw new Error("Please select an image");
+    }
+    currentDetections = null;
+    const {mask, detections, filtered, timings} = await pipeline.detect(current, options, pipelineHooks(id, signal));
+    mask.delete();
+    currentDetections = detections;
+    currentFiltered = filtered;
+    return [{detections, filtered, timings}, []]; // not transferred, the worker keeps its instance masks
+}
+
+/**
+ * Removes the chosen detections found by detect from the input set by setInput.
+ * @param {{indices: number[], options: object, continueWithResult: boolean, overlay: boolean, annotations: boolean,
+ *   vectors: boolean}} payload
+ *   The indices of the detections to remove, the pipeline options and the flags of run.
+ * @param {number} id - The message id, used for progress messages.
+ * @param {AbortSignal} signal - Aborted by a cancel message.
+ * @returns {Promise<[object, Transferable[]]>} See toResponse.
+ */
+async function removeDetections({indices, options, continueWithResult, ...outputs}, id, signal) {
+    if (current === null || currentDetections === null) {
+        throw new Error("Please detect the objects first");
+    }
+    const chosen = indices.map(index => currentDetections[index]);
+    const {result, mask, detections, timings} = await pipeline.removeDetections(
+        current, chosen, options, pipelineHooks(id, signal));
+    currentDetections = null; // their masks are transferred with the response
+    const filtered = currentFiltered;
+    currentFiltered = [];
+    return await respondAndContinue(result, mask, continueWithResult,
+        () => toResponse(current.image, result, mask, detections, filtered, timings, outputs));
+}
+
+/**
+ * Runs the pipeline once on an image without keeping any state, as used by the batch mode. With imported
+ * instances, these are removed instead of detected objects.
+ * @param {{image: ImageData, downscale: number|null, options: object, imported: object[]|null, overlay: boolean,
+ *   annotations: boolean, vectors: boolean}} payload
+ * @param {number} id - The message id, used for progress messages.
+ * @param {AbortSignal} signal - Aborted by a cancel message.
+ * @returns {Promise<[object, Transferable[]]>} See toResponse.
+ */
+async function processImage({image, downscale, options, imported = null, ...outputs}, id, signal) {
+    const [, {processImageMat}] = await loadModules();
+    const [imageMat, transImage, xRatio, yRatio] = processImageMat(
+        cv.matFromImageData(image), pipeline.segModelWidth, pipeline.segModelHeight, downscale);
+    try {
+        const input = {image: imageMat, transImage, xRatio, yRatio};
+        const {result, mask, detections, filtered = [], timings} = imported === null
+            ? await pipeline.process(input, options, pipelineHooks(id, signal))
+            : await pipeline.removeAnnotated(input, imported, options, pipelineHooks(id, signal));
+        try {
+            return await toResponse(imageMat, result, mask, detections, filtered, timings, outputs);
+        } finally {
+            result.delete();
+            mask.delete();
+        }
+    } finally {
+        imageMat.delete();
+        transImage.delete();
+    }
+}
+
+
+/* --- Utility Functions --- */
+
+/**
+ * Builds the response of a run of the single image mode and frees its matrices, also if building it fails.
+ * @param {cv.Mat} result - The resulting image, kept as the next input with continueWithResult.
+ * @param {cv.Mat} mask - The used mask.
+ * @param {boolean} continueWithResult - Whether the result becomes the next input.
+ * @param {function(): Promise<[object, Transferable[]]>} respond - Builds the response (see toResponse).
+ * @returns {Promise<[object, Transferable[]]>} The response.
+ */
+async function respondAndContinue(result, mask, continueWithResult, respond) {
+    let keepResult = false;
+    try {
+        const response = await respond();
+        if (continueWithResult) {
+            freeCurrentInput();
+            current = pipeline.prepare(result);
+            keepResult = true;
+        }
+        return response;
+    } finally {
+        if (!keepResult) {
+            result.delete();
+        }
+        mask.delete();
+    }
+}
+
+/**
+ * Loads the pipeline modules once OpenCV.js is initialized.
+ * @returns {Promise<[object, object, object, object]>} The pipeline, processInput, maskUtils and modelCache modules.
+ */
+function loadModules() {
+    if (modulesPromise === null) {
+        modulesPromise = waitForOpenCv().then(() => Promise.all([
+            import("./pipeline.js"),
+            import("./processInput.js"),
+            import("./maskUtils.js"),
+            import("./modelCache.js"),
+        ]));
+    }
+    return modulesPromise;
+}
+
+/**
+ * Waits for the OpenCV.js runtime to be initialized.
+ * The emscripten module is thenable in some builds, so it is never returned from an async function.
+ * @returns {Promise<void>}
+ */
+async function waitForOpenCv() {
+    if (cv instanceof Promise) {
+        self.cv = await cv;
+    } else if (!cv.Mat) {
+        await new Promise(resolve => cv.onRuntimeInitialized = resolve);
+    }
+}
+
+/**
+ * Creates the hooks passed to the pipeline, forwarding progress to the main thread.
+ * @param {number} id - The message id.
+ * @param {AbortSignal} signal - Aborted by a cancel message.
+ * @returns {{onProgress: function, signal: AbortSignal}}
+ */
+function pipelineHooks(id, signal) {
+    return {
+        onProgress: (progress) => self.postMessage({id, type: "progress", payload: progress}),
+        signal
+    };
+}
+
+/**
+ * Converts the pipeline output into a transferable response.
+ * @param {cv.Mat} image - The input image with CV_8UC3 data type.
+ * @param {cv.Mat} result - The resulting image with CV_8UC3 data type.
+ * @param {cv.Mat} mask - The used mask with CV_8UC1 data type.
+ * @param {object[]} detections
+ * @param {object[]} filtered - The detections sorted out by the filters, greyed out in the overlay.
+ * @param {object} timings
+ * @param {object} [outputs] - The optional outputs to add.
+ * @param {boolean} [outputs.overlay=false] - The input image blended with the mask.
+ * @param {boolean} [outputs.annotations=false] - The detections as annotation instances for the export,
+ *   {width, height, instances} (see describeInstances).
+ * @param {boolean} [outputs.vectors=false] - The polygons of the mask and the instances (see vectorizeResult).
+ * @returns {Promise<[object, Transferable[]]>} The response {result, mask, overlay?, annotations?, vectors?,
+ *   detections, filtered, timings} with ImageData images and the list of their buffers.
+ */
+async function toResponse(image, result, mask, detections, filtered, timings, {
+    overlay = false, annotations = false, vectors = false
+} = {}) {
+    const [, , {layover, maskFromDetections}] = await loadModules();
+    const response = {result: matToImageData(result), mask: matToImageData(mask), detections, filtered, timings};
+    if (overlay) {
+        const filteredMask = filtered.length > 0 ? maskFromDetections(image.cols, image.rows, filtered) : null;
+        const overlayMat = layover(image, mask, filteredMask);
+        response.overlay = matToImageData(overlayMat);
+        overlayMat.delete();
+        filteredMask?.delete();
+    }
+    if (annotations) {
+        const {describeInstances} = await import("./annotationExport.js");
+        response.annotations = {
+            width: image.cols,
+            height: image.rows,
+            instances: describeInstances(detections, image.cols, image.rows)
+        };
+    }
+    if (vectors) {
+        const {vectorizeResult} = await import("./vectorExport.js");
+        response.vectors = vectorizeResult(mask, detections);
+    }
+    const transfer = ["result", "mask", "overlay"].filter(key => key in response).map(key => response[key].data.buffer);
+    for (const detection of [...detections, ...filtered]) {
+        if (detection.mask) {
+            transfer.push(detection.mask.data.buffer);
+        }
+    }
+    return [response, transfer];
+}
+
+/**
+ * Converts an image matrix to ImageData.
+ * @param {cv.Mat} mat The image matrix with CV_8UC3 / CV_8UC1 / CV_8UC4 data type.
+ * @returns {ImageData} A copy of the image in RGBA.
+ */
+function matToImageData(mat) {
+    const rgbaMat = new cv.Mat();
+    if (mat.channels() === 3) {
+        cv.cvtColor(mat, rgbaMat, cv.COLOR_RGB2RGBA);
+    } else if (mat.channels() === 1) {
+        cv.cvtColor(mat, rgbaMat, cv.COLOR_GRAY2RGBA);
+    } else {
+        mat.copyTo(rgbaMat);
+    }
+    const imageData = new ImageData(new Uint8ClampedArray(rgbaMat.data), rgbaMat.cols, rgbaMat.rows);
+    rgbaMat.delete();
+    return imageData;
+}
+
+/**
+ * Frees the input of the single image mode.
+ */
+function freeCurrentInput() {
+    currentDetections = null;
+    if (current !== null) {
+        current.image.delete();
+        current.transImage.delete();
+        current = null;
+    }
+}
@@ -0,0 +1,128 @@
+export {shiftDown, layover, maskFromDetections}
+
+/**
+ * Shifts an image down and fills the top with white pixels.
+ * @param {cv.Mat} inputMat The input image matrix.
+ * @param {number} [shiftAmount=0.025] The amount of pixels to shift down.
+ * @returns {cv.Mat} The shifted image matrix.
+ */
+function shiftDown(inputMat, shiftAmount = 0.025) {
+    if (shiftAmount === 0) {
+        return inputMat.clone();
+    }
+    const originalWidth = inputMat.cols;
+    const originalHeight = inputMat.rows;
+
+    shiftAmount = Math.round(originalHeight * shiftAmount);
+    // Ensure shift amount is valid
+    if (shiftAmount < 0 || shiftAmount >= originalHeight) {
+        console.error("Shift amount must be greater than 0 and less than image height");
+        return inputMat.clone();
+    }
+
+    // Create a new matrix with same size as input
+    const shiftedMat = new cv.Mat(originalHeight, originalWidth, inputMat.type());
+    let roi = null;
+    let destRoi = null;
+    try {
+        shiftedMat.setTo(new cv.Scalar(255, 255, 255, 255));
+
+        const sourceRect = new cv.Rect(0, 0, originalWidth, originalHeight - shiftAmount);
+        const destRect = new cv.Rect(0, shiftAmount, originalWidth, originalHeight - shiftAmount);
+
+        roi = inputMat.roi(sourceRect);
+        destRoi = shiftedMat.roi(destRect);
+        roi.copyTo(destRoi);
+
+        return shiftedMat;
+    } catch (error) {
+        console.error("Error in shiftDown:", error);
+        if (shiftedMat && !shiftedMat.isDeleted()) {
+            shiftedMat.delete();
+        }
+        return inputMat.clone();
+    } finally {
+        if (roi && !roi.isDeleted()) {
+            roi.delete();
+        }
+        if (destRoi && !destRoi.isDeleted()) {
+            destRoi.delete();
+        }
+    }
+}
+
+/**
+ * Layover function to blend the original image with a red mask overlay.
+ * @param {cv.Mat} original image matrix with CV_8UC3 data type.
+ * @param {cv.Mat} mask image matrix with CV_8UC1 data type.
+ * @param {cv.Mat|null} [excluded=null] - A mask of objects that are not removed, e.g. filtered detections, with
+ *   CV_8UC1 data type (object pixel = 0). They are shown greyed out.
+ * @returns {cv.Mat} Blended image matrix with CV_8UC3 data type.
+ */
+function layover(original, mask, excluded = null) {
+    const alpha = 0.5;
+
+    let redOverlay = new cv.Mat(original.rows, original.cols, original.type(), new cv.Scalar(255, 0, 0));
+
+    let blended = new cv.Mat();
+    cv.addWeighted(original, 1 - alpha, redOverlay, alpha, 0, blended);
+
+    let maskInv = new cv.Mat();
+    cv.bitwise_not(mask, maskInv);
+
+    let result = original.clone();
+    if (excluded !== null) {
+        // desaturated and lightened, below the red overlay where both overlap
+        let grey = new cv.Mat();
+        cv.cvtColor(original, grey, cv.COLOR_RGB2GRAY);
+        cv.cvtColor(grey, grey, cv.COLOR_GRAY2RGB);
+        let lightGrey = new cv.Mat(original.rows, original.cols, original.type(), new cv.Scalar(200, 200, 200));
+        cv.addWeighted(grey, 1 - alpha, lightGrey, alpha, 0, grey);
+        let excludedInv = new cv.Mat();
+        cv.bitwise_not(excluded, excludedInv);
+        grey.copyTo(result, excludedInv);
+        grey.delete();
+        lightGrey.delete();
+        excludedInv.delete();
+    }
+    blended.copyTo(result, maskInv);
+
+
+    redOverlay.delete();
+    blended.delete();
+    maskInv.delete();
+
+    return result;
+}
+
+/**
+ * Merges the instance masks of detections into one mask.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {object[]} detections - Detections with instance masks {x, y, width, height, data} (see inferYolo).
+ * @returns {cv.Mat} The mask with CV_8UC1 data type (background pixel = 255, object pixel = 0).
+ */
+function maskFromDetections(width, height, detections) {
+    const mask = new cv.Mat(height, width, cv.CV_8UC1, new cv.Scalar(255));
+    for (const {mask: instance} of detections) {
+        if (!instance) {
+            continue;
+        }
+        // clip the instance mask to the image
+        const x0 = Math.max(0, instance.x);
+        const y0 = Math.max(0, instance.y);
+        const x1 = Math.min(width, instance.x + instance.width);
+        const y1 = Math.min(height, instance.y + instance.height);
+        if (x1 <= x0 || y1 <= y0) {
+            continue;
+        }
+        const instanceMat = cv.matFromArray(instance.height, instance.width, cv.CV_8UC1, instance.data);
+        const source = instanceMat.roi(new cv.Rect(x0 - instance.x, y0 - instance.y, x1 - x0, y1 - y0));
+        const target = mask.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+        target.setTo(new cv.Scalar(0), source);
+        source.delete();
+        target.delete();
+        instanceMat.delete();
+    }
+    return mask;
+}
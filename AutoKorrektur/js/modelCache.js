@@ -0,0 +1,137 @@
+export {fetchModelCached, clearModelCache, isModelCacheAvailable}
+
+const modelCacheName = "autokorrektur-models";
+
+/**
+ * @returns {boolean} True if Cache Storage can be used (secure context, browser or worker).
+ */
+function isModelCacheAvailable() {
+    return typeof caches !== "undefined";
+}
+
+/**
+ * Fetches the bytes of a model, from Cache Storage if possible.
+ * Downloaded models are stored under a key containing the manifest version and the model hash, so an entry of an
+ * older manifest version or hash is replaced on the next load.
+ * @param {string} url - The URL of the model file.
+ * @param {object} [options]
+ * @param {number|string} [options.version] - The version of the manifest.
+ * @param {string} [options.sha256] - The expected SHA-256 of the file as hex string. Downloads are verified against it.
+ * @param {function({loaded: number, total: number, cached: boolean}): void} [options.onProgress]
+ *   Called with the number of bytes loaded so far. total is 0 if the server does not send a Content-Length.
+ * @returns {Promise<Uint8Array>} The model bytes.
+ */
+async function fetchModelCached(url, {version, sha256, onProgress = () => {}} = {}) {
+    const cacheKey = cacheKeyFor(url, version, sha256);
+    const cache = await caches.open(modelCacheName);
+
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+        const bytes = new Uint8Array(await cached.arrayBuffer());
+        onProgress({loaded: bytes.byteLength, total: bytes.byteLength, cached: true});
+        return bytes;
+    }
+
+    const bytes = await fetchWithProgress(url, onProgress);
+    if (sha256) {
+        await verifySha256(bytes, sha256, url);
+    }
+    try {
+        await removeStaleEntries(cache, url);
+        await cache.put(cacheKey, new Response(bytes, {headers: {"Content-Type": "application/octet-stream"}}));
+    } catch (error) {
+        console.warn("Could not cache model " + url + ":", error); // e.g. storage quota exceeded, the model still works
+    }
+    return bytes;
+}
+
+/**
+ * Deletes all cached models.
+ * @returns {Promise<boolean>} True if there was a cache to delete.
+ */
+async function clearModelCache() {
+    return await caches.delete(modelCacheName);
+}
+
+/**
+ * @param {string} url - The URL of the model file.
+ * @param {number|string} [version] - The version of the manifest.
+ * @param {string} [sha256] - The hash of the model file.
+ * @returns {string} The cache key of the model in this manifest version.
+ */
+function cacheKeyFor(url, version, sha256) {
+    const key = new URL(url);
+    key.searchParams.set("v", String(version ?? 0));
+    if (sha256) {
+        key.searchParams.set("sha256", sha256);
+    }
+    return key.href;
+}
+
+/**
+ * Deletes the cache entries of a model file with another version or hash.
+ * @param {Cache} cache - The model cache.
+ * @param {string} url - The URL of the model file.
+ * @returns {Promise<void>}
+ */
+async function removeStaleEntries(cache, url) {
+    const modelUrl = new URL(url);
+    for (const request of await cache.keys()) {
+        const cachedUrl = new URL(request.url);
+        if (cachedUrl.origin === modelUrl.origin && cachedUrl.pathname === modelUrl.pathname) {
+            await cache.delete(request);
+        }
+    }
+}
+
+/**
+ * Downloads a file and reports the progress while reading the body.
+ * @param {string} url - The URL of the file.
+ * @param {function({loaded: number, total: number, cached: boolean}): void} onProgress
+ * @returns {Promise<Uint8Array>} The file bytes.
+ */
+async function fetchWithProgress(url, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error("Could not load model " + url + ": " + response.status);
+    }
+    const total = Number(response.headers.get("Content-Length")) || 0;
+    if (!response.body) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        onProgress({loaded: bytes.byteLength, total: bytes.byteLength, cached: false});
+        return bytes;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    onProgress({loaded, total, cached: false});
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        chunks.push(chunk.value);
+        loaded += chunk.value.byteLength;
+        onProgress({loaded, total, cached: false});
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return bytes;
+}
+
+/**
+ * Throws if the SHA-256 of the bytes does not match the expected hash.
+ * @param {Uint8Array} bytes - The file bytes.
+ * @param {string} sha256 - The expected hash as hex string.
+ * @param {string} url - The URL of the file, for the error message.
+ * @returns {Promise<void>}
+ */
+async function verifySha256(bytes, sha256, url) {
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+    const hex = Array.from(digest, byte => byte.toString(16).padStart(2, "0")).join("");
+    if (hex !== sha256.toLowerCase()) {
+        throw new Error("Model " + url + " does not match the SHA-256 of the manifest.");
+    }
+}
@@ -0,0 +1,140 @@
+export {loadManifest, validateManifest, getModel, getModels, getClassNames, getPresetClassIds, findClassPreset, classSelectionTag, deviceTiers}
+
+/**
+ * Recommended device tiers of the models, from weakest to strongest device.
+ * @type {string[]}
+ */
+const deviceTiers = ["low", "mid", "high"];
+
+/**
+ * Fetches and validates the model manifest (model/manifest.json).
+ * Each model entry has an id, a name, a kind ("segmentation", "inpainting" or a helper kind like "nms" / "mask"),
+ * the file relative to the manifest and optionally the input size, the class list and the recommended device tier.
+ * Segmentation models exported by Ultralytics may leave out class list and input size, they are then read from the
+ * model metadata when the model is loaded (see resolveSegmentationModel). The "decoder" of a segmentation model
+ * names the layout of its output (see outputDecoders); end-to-end models need no "nms" helper.
+ * Class presets name sets of classes to remove, given by class name so they apply to every model knowing them.
+ * @param {string} url - The URL of the manifest.
+ * @returns {Promise<object>} The parsed manifest.
+ */
+async function loadManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error("Could not load model manifest " + url + ": " + response.status);
+    }
+    const manifest = await response.json();
+    validateManifest(manifest);
+    return manifest;
+}
+
+/**
+ * Throws if the manifest misses required fields or references unknown models or class lists.
+ * @param {object} manifest - The parsed manifest.
+ */
+function validateManifest(manifest) {
+    if (!Array.isArray(manifest.models)) {
+        throw new Error("Model manifest has no models list.");
+    }
+    for (const model of manifest.models) {
+        if (!model.id || !model.kind || !model.file) {
+            throw new Error("Model manifest entry needs id, kind and file: " + JSON.stringify(model));
+        }
+        if (typeof model.classes === "string" && !manifest.classLists?.[model.classes]) {
+            throw new Error("Model " + model.id + " references unknown class list " + model.classes);
+        }
+        if (model.deviceTier !== undefined && !deviceTiers.includes(model.deviceTier)) {
+            throw new Error("Model " + model.id + " has unknown device tier " + model.deviceTier);
+        }
+        for (const helper of Object.values(model.helpers ?? {})) {
+            getModel(manifest, helper);
+        }
+    }
+    for (const preset of manifest.classPresets ?? []) {
+        if (!preset.id || !Array.isArray(preset.classes)) {
+            throw new Error("Class preset needs id and classes: " + JSON.stringify(preset));
+        }
+    }
+    const defaultPreset = manifest.defaults?.classPreset;
+    if (defaultPreset !== undefined && !manifest.classPresets?.some(preset => preset.id === defaultPreset)) {
+        throw new Error("Default class preset " + defaultPreset + " is not defined.");
+    }
+}
+
+/**
+ * Looks up a model entry.
+ * @param {object} manifest - The parsed manifest.
+ * @param {string} id - The id of the model.
+ * @param {string} [kind] - The expected kind of the model.
+ * @returns {object} The model entry.
+ */
+function getModel(manifest, id, kind = undefined) {
+    const model = manifest.models.find(model => model.id === id);
+    if (!model) {
+        throw new Error("Unknown model: " + id);
+    }
+    if (kind !== undefined && model.kind !== kind) {
+        throw new Error("Model " + id + " is a " + model.kind + " model, not a " + kind + " model.");
+    }
+    return model;
+}
+
+/**
+ * @param {object} manifest - The parsed manifest.
+ * @param {string} kind - The kind of the models.
+ * @returns {object[]} All model entries of the kind, in manifest order.
+ */
+function getModels(manifest, kind) {
+    return manifest.models.filter(model => model.kind === kind);
+}
+
+/**
+ * Resolves the class names of a model, given either inline or as the name of a shared class list.
+ * @param {object} manifest - The parsed manifest.
+ * @param {object} model - The model entry.
+ * @returns {string[]} The class names, indexed by class id.
+ */
+function getClassNames(manifest, model) {
+    if (typeof model.classes === "string") {
+        return manifest.classLists[model.classes];
+    }
+    return model.classes ?? [];
+}
+
+/**
+ * Resolves a class preset to the class ids of a model. Classes the model does not know are skipped.
+ * @param {object} manifest - The parsed manifest.
+ * @param {object} model - The model entry.
+ * @param {string} [presetId] - The id of the preset (default: manifest default).
+ * @returns {number[]} The class ids, ascending.
+ */
+function getPresetClassIds(manifest, model, presetId = manifest.defaults.classPreset) {
+    const preset = (manifest.classPresets ?? []).find(preset => preset.id === presetId);
+    if (!preset) {
+        throw new Error("Unknown class preset: " + presetId);
+    }
+    const classNames = getClassNames(manifest, model);
+    return preset.classes.map(name => classNames.indexOf(name)).filter(id => id >= 0).sort((a, b) => a - b);
+}
+
+/**
+ * Finds the preset matching a class selection exactly.
+ * @param {object} manifest - The parsed manifest.
+ * @param {object} model - The model entry.
+ * @param {number[]} classIds - The selected class ids.
+ * @returns {object|undefined} The preset entry, undefined for a custom selection.
+ */
+function findClassPreset(manifest, model, classIds) {
+    const selected = [...classIds].sort((a, b) => a - b).join();
+    return (manifest.classPresets ?? []).find(preset => getPresetClassIds(manifest, model, preset.id).join() === selected);
+}
+
+/**
+ * Names a class selection for file names: the preset id or the class ids joined by "+".
+ * @param {object} manifest - The parsed manifest.
+ * @param {object} model - The model entry.
+ * @param {number[]} classIds - The selected class ids.
+ * @returns {string} The tag, e.g. "motor-vehicles" or "0+2+5".
+ */
+function classSelectionTag(manifest, model, classIds) {
+    return findClassPreset(manifest, model, classIds)?.id ?? [...classIds].sort((a, b) => a - b).join("+");
+}
@@ -0,0 +1,136 @@
+import {getOutputDecoder} from "./outputDecoders.js";
+
+export {readOnnxMetadata, segmentationMetadata, resolveSegmentationModel}
+
+const defaultInputSize = [640, 640];
+
+/**
+ * Reads the metadata properties of an ONNX model, e.g. those Ultralytics writes on export ("names", "imgsz",
+ * "task", ...). Only the top level of the protobuf is walked; the graph is skipped without being decoded.
+ * @param {Uint8Array} bytes - The ONNX model file.
+ * @returns {Object<string, string>} The metadata properties by key, empty if the model has none.
+ */
+function readOnnxMetadata(bytes) {
+    const metadata = {};
+    for (const [field, value] of protobufFields(bytes, 0, bytes.length)) {
+        if (field === 14 && value instanceof Uint8Array) { // ModelProto.metadata_props
+            let key = "";
+            let text = "";
+            for (const [entryField, entryValue] of protobufFields(value, 0, value.length)) {
+                if (entryField === 1) {
+                    key = new TextDecoder().decode(entryValue);
+                } else if (entryField === 2) {
+                    text = new TextDecoder().decode(entryValue);
+                }
+            }
+            metadata[key] = text;
+        }
+    }
+    return metadata;
+}
+
+/**
+ * Extracts class names and input size from the metadata of an Ultralytics export.
+ * @param {Object<string, string>} metadata - See readOnnxMetadata.
+ * @returns {{classes?: string[], inputSize?: number[], decoder?: string}} The class names indexed by class id, the
+ *   input size as [width, height] and "end2end" for end-to-end exports, each only if the metadata has it.
+ */
+function segmentationMetadata(metadata) {
+    const result = {};
+    if (metadata.names) {
+        // a Python dict like {0: 'person', 1: "driver's car"}
+        const classes = [];
+        for (const [, id, quoted] of metadata.names.matchAll(/(\d+)\s*:\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")/g)) {
+            classes[parseInt(id)] = quoted.slice(1, -1).replace(/\\(.)/g, "$1");
+        }
+        if (classes.length > 0) {
+            result.classes = Array.from(classes, (name, id) => name ?? String(id));
+        }
+    }
+    if (metadata.imgsz) {
+        const size = metadata.imgsz.match(/\d+/g)?.map(Number) ?? [];
+        if (size.length > 0) {
+            result.inputSize = [size[1] ?? size[0], size[0]]; // Ultralytics stores [height, width]
+        }
+    }
+    if (metadata.end2end === "True") { // written by Ultralytics for NMS-free exports
+        result.decoder = "end2end";
+    }
+    return result;
+}
+
+/**
+ * Completes a segmentation model entry of the manifest with the class names, input size and output decoder of the
+ * model metadata. Values given in the manifest take precedence, so they can correct a model with wrong metadata.
+ * @param {object} model - The model entry.
+ * @param {Object<string, string>} metadata - See readOnnxMetadata.
+ * @param {object} manifest - The parsed manifest, for class lists referenced by name.
+ * @returns {object} A copy of the entry with inline classes, inputSize ([width, height], default 640 x 640) and
+ *   decoder (see outputDecoders, default "yolov8").
+ */
+function resolveSegmentationModel(model, metadata, manifest) {
+    const fromMetadata = segmentationMetadata(metadata);
+    const classes = typeof model.classes === "string" ? manifest.classLists[model.classes] : model.classes ?? fromMetadata.classes;
+    if (!classes?.length) {
+        throw new Error("Model " + model.id + " has no class names: add \"classes\" to its manifest entry or export it "
+            + "with Ultralytics, which stores them in the model metadata.");
+    }
+    const inputSize = model.inputSize ?? fromMetadata.inputSize ?? defaultInputSize;
+    // the image is letterboxed into a square and the mask helper graph works on a square of the input size
+    if (inputSize[0] !== inputSize[1]) {
+        const source = model.inputSize ? "\"inputSize\" of its manifest entry" : "imgsz of its model metadata";
+        throw new Error("Model " + model.id + " has the input size " + inputSize.join(" x ") + " (" + source
+            + "), but only square input sizes are supported: export the model with a single imgsz, e.g. imgsz=640.");
+    }
+    const decoder = model.decoder ?? fromMetadata.decoder ?? "yolov8";
+    getOutputDecoder(decoder); // throws for unknown decoders
+    return {...model, classes, inputSize, decoder};
+}
+
+/**
+ * Walks the fields of a protobuf message.
+ * @param {Uint8Array} bytes - The buffer holding the message.
+ * @param {number} start - The offset of the message.
+ * @param {number} end - The end of the message.
+ * @returns {Generator<[number, number|Uint8Array]>} The field numbers with their values: numbers for varint and
+ *   fixed-size fields (fixed-size ones are not decoded), byte views for length-delimited fields.
+ */
+function* protobufFields(bytes, start, end) {
+    let position = start;
+    const readVarint = () => {
+        let value = 0;
+        let factor = 1;
+        let byte;
+        do {
+            byte = bytes[position++];
+            value += (byte & 0x7f) * factor; // multiplication, as varints exceed the 32 bits of the bit operators
+            factor *= 128;
+        } while (byte & 0x80);
+        return value;
+    };
+    while (position < end) {
+        const tag = readVarint();
+        const field = Math.floor(tag / 8);
+        switch (tag % 8) {
+            case 0:
+                yield [field, readVarint()];
+                break;
+            case 1:
+                position += 8;
+                yield [field, 0];
+                break;
+            case 2: {
+                const length = readVarint();
+                yield [field, bytes.subarray(position, position + length)];
+                position += length;
+                break;
+            }
+            case 5:
+                position += 4;
+                yield [field, 0];
+                break;
+            default:
+                throw new Error("Not an ONNX model: unsupported protobuf wire type " + (tag % 8));
+        }
+    }
+}
@@ -0,0 +1,110 @@
+export {outputDecoders, getOutputDecoder}
+
+/**
+ * The decoders of the segmentation model output, by the name given in the "decoder" field of a manifest entry.
+ * Every segmentation model has a detection output and the mask prototypes [1, 32, height, width]; the decoders
+ * differ in the layout of the detections:
+ *   - "yolov8": [1, 4 + classes + 32, candidates] of YOLOv8 / YOLO11 exports, the box as center x, center y, width
+ *     and height, a score per class and the mask coefficients per candidate. Needs non-maximum suppression.
+ *   - "end2end": [1, detections, 6 + 32] of end-to-end (NMS-free) exports like YOLOv10 or YOLO11 with end2end=True,
+ *     the box as left, top, right and bottom, the score, the class id and the mask coefficients per detection.
+ *   - "end2end-normalized": the same layout with the box as center x, center y, width and height relative to the
+ *     input size, as DETR-style segmentation heads emit it.
+ * A decoder is {needsNms, decode}: needsNms tells whether the model needs the NMS helper, decode(detections,
+ * prototypes, options) resolves to the candidates as {label, score, box, coefficients} with box as [center x,
+ * center y, width, height] in input pixels. options holds scoreThreshold, maxInstances (per class), inputSize
+ * ([width, height]) and suppress(detections, numClasses), which runs the NMS of the selected post-processing.
+ * @type {Object<string, {needsNms: boolean, decode: function(ort.Tensor, ort.Tensor, object): Promise<object[]>}>}
+ */
+const outputDecoders = {
+    "yolov8": {
+        needsNms: true,
+        decode: decodeAnchorOutput
+    },
+    "end2end": {
+        needsNms: false,
+        decode: (detections, prototypes, options) => decodeEndToEndOutput(detections, prototypes, options,
+            ([left, top, right, bottom]) => [(left + right) / 2, (top + bottom) / 2, right - left, bottom - top])
+    },
+    "end2end-normalized": {
+        needsNms: false,
+        decode: (detections, prototypes, options) => decodeEndToEndOutput(detections, prototypes, options,
+            ([x, y, width, height], [inputWidth, inputHeight]) =>
+                [x * inputWidth, y * inputHeight, width * inputWidth, height * inputHeight])
+    }
+};
+
+/**
+ * @param {string} name - The name of the decoder (see outputDecoders).
+ * @returns {{needsNms: boolean, decode: function}} The decoder.
+ */
+function getOutputDecoder(name) {
+    const decoder = outputDecoders[name];
+    if (!decoder) {
+        throw new Error("Unknown output decoder " + name + ", expected one of: " + Object.keys(outputDecoders).join(", "));
+    }
+    return decoder;
+}
+
+/**
+ * Decodes the anchor-based output of YOLOv8 / YOLO11 segmentation models: the candidates are selected by the NMS
+ * first, each keeps the class with its highest score.
+ * @param {ort.Tensor} detections - The detections [1, 4 + classes + 32, candidates].
+ * @param {ort.Tensor} prototypes - The mask prototypes [1, 32, height, width].
+ * @param {{suppress: function(ort.Tensor, number): Promise<{data: Float32Array, dims: number[]}>}} options - See
+ *   outputDecoders.
+ * @returns {Promise<object[]>} The selected candidates.
+ */
+async function decodeAnchorOutput(detections, prototypes, {suppress}) {
+    const numClasses = detections.dims[1] - 4 - prototypes.dims[1]; // the values per candidate without box and mask
+    const selected = await suppress(detections, numClasses); // [1, selected, 4 + classes + 32]
+    const candidates = [];
+    for (let row = 0; row < selected.dims[1]; row++) {
+        const data = selected.data.slice(row * selected.dims[2], (row + 1) * selected.dims[2]);
+        const scores = data.slice(4, 4 + numClasses);
+        const score = Math.max(...scores);
+        candidates.push({
+            label: scores.indexOf(score),
+            score,
+            box: Array.from(data.slice(0, 4)),
+            coefficients: data.slice(4 + numClasses)
+        });
+    }
+    return candidates;
+}
+
+/**
+ * Decodes the output of end-to-end models, which is already free of overlapping duplicates. Only the score threshold
+ * and the maximum number of instances per class are applied.
+ * @param {ort.Tensor} detections - The detections [1, detections, 6 + 32].
+ * @param {ort.Tensor} prototypes - The mask prototypes [1, 32, height, width].
+ * @param {{scoreThreshold: number, maxInstances: number, inputSize: number[]}} options - See outputDecoders.
+ * @param {function(Float32Array, number[]): number[]} toCenterBox - Converts the four box values of a detection to
+ *   [center x, center y, width, height] in input pixels, given the input size.
+ * @returns {object[]} The detections above the score threshold, by descending score.
+ */
+function decodeEndToEndOutput(detections, prototypes, {scoreThreshold, maxInstances, inputSize}, toCenterBox) {
+    const [, count, channels] = detections.dims;
+    if (detections.dims.length !== 3 || channels !== 6 + prototypes.dims[1]) {
+        throw new Error("The end-to-end decoder expects detections [1, N, 6 + " + prototypes.dims[1] + "], the model "
+            + "outputs [" + detections.dims.join(", ") + "]. Check the decoder of the model in the manifest.");
+    }
+    const candidates = [];
+    for (let row = 0; row < count; row++) {
+        const data = detections.data.subarray(row * channels, (row + 1) * channels);
+        if (data[4] > scoreThreshold) {
+            candidates.push({
+                label: Math.round(data[5]),
+                score: data[4],
+                box: toCenterBox(data.subarray(0, 4), inputSize),
+                coefficients: data.slice(6)
+            });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    const perClass = new Map();
+    return candidates.filter(({label}) => {
+        perClass.set(label, (perClass.get(label) ?? 0) + 1);
+        return perClass.get(label) <= maxInstances;
+    });
+}
@@ -0,0 +1,575 @@
+import {preprocessing} from "./processInput.js";
+import {comparePostprocessing, inferYolo} from "./yoloInference.js";
+import {inferMiGan} from "./miGanInference.js";
+import {maskFromDetections, shiftDown} from "./maskUtils.js";
+import {getClassNames, getModel, getPresetClassIds} from "./modelManifest.js";
+import {backendCandidates, FallbackSession} from "./backends.js";
+import {readOnnxMetadata, resolveSegmentationModel} from "./modelMetadata.js";
+import {getOutputDecoder} from "./outputDecoders.js";
+import {mergeDetections, offsetDetection, tileRects} from "./tiling.js";
+import {flipDetection, mergeFlipped} from "./flipAugmentation.js";
+import {rasterizeAnnotations} from "./annotationImport.js";
+import {filterDetections} from "./detectionFilters.js";
+import {applyRegions} from "./regions.js";
+import {estimateShadows} from "./shadowEstimation.js";
+
+export {AutoKorrekturPipeline, defaultDownshift}
+
+/**
+ * The default mask downshift as fraction of the image height, as preset by the slider of the web application.
+ * @type {number}
+ */
+const defaultDownshift = 0.02;
+
+/**
+ * The detect → mask → inpaint pipeline without any DOM access.
+ * It owns the ONNX sessions and expects the globals `cv` (OpenCV.js) and `ort` (ONNX Runtime) to be loaded,
+ * so it can be used by the page, by scripts and by other UIs alike.
+ */
+class AutoKorrekturPipeline {
+
+    /**
+     * @param {object} config
+     * @param {object} config.manifest - The parsed model manifest (see modelManifest.js).
+     * @param {string} [config.modelPath="model/"] - Path or URL prefix of the model files, i.e. the manifest's directory.
+     * @param {object} [config.sessionOptions={}] - Options for ort.InferenceSession.create. The execution providers
+     *   are set by the backend.
+     * @param {string} [config.backend="wasm"] - "auto", "wasm", "webgl" or "webgpu" (see backends.js). Sessions fall
+     *   back to the next supported backend, finally wasm, if creating them fails or a run fails with an error of the
+     *   backend or device (see FallbackSession).
+     * @param {function(string, object): Promise<Uint8Array>} [config.fetchModel=null] - Loads the bytes of a model
+     *   file, given its URL and {version, sha256, onProgress} (see modelCache.js). Without it, the URL is passed to
+     *   ONNX Runtime directly.
+     */
+    constructor({
+                    manifest,
+                    modelPath = "model/",
+                    sessionOptions = {},
+                    backend = "wasm",
+                    fetchModel = null
+                }) {
+        this.manifest = manifest;
+        this.fetchModel = fetchModel;
+        this.modelPath = modelPath;
+        this.sessionOptions = sessionOptions;
+        this.backend = backend;
+        this.segModelWidth = 640; // the input size of the loaded segmentation model
+        this.segModelHeight = 640;
+        this.segmentationModel = null; // its manifest entry, completed by the model metadata
+        this.inpaintModel = null;
+        this.instanceSegSession = null;
+        this.miGanSession = null;
+    }
+
+    /**
+     * Loads the ONNX models for segmentation and inpainting, including the helper models of the segmentation model.
+     * With the backend "auto", the segmentation model is benchmarked on every supported backend first.
+     * Class names, input size and output decoder of the segmentation model are taken from its manifest entry or, if
+     * missing there, from the metadata of the model file (see resolveSegmentationModel), so custom Ultralytics exports
+     * work without further configuration. The NMS helper is only needed by models whose output decoder requires NMS, end-to-end
+     * models run without it.
+     * @param {string} [segmentationModel] - The manifest id of the segmentation model (default: manifest default).
+     * @param {string} [inpaintModel] - The manifest id of the inpainting model (default: manifest default).
+     * @param {object} [hooks]
+     * @param {function({stage: string, model: string, loaded: number, total: number, cached: boolean}): void} [hooks.onProgress]
+     *   Called while a model file is loaded by config.fetchModel, with the stage "download", and with the stage
+     *   "backend" while the backends are probed.
+     * @returns {Promise<void>}
+     */
+    async load(segmentationModel = this.manifest.defaults.segmentation, inpaintModel = this.manifest.defaults.inpainting, hooks = {}) {
+        const segModel = getModel(this.manifest, segmentationModel, "segmentation");
+        const inpModel = getModel(this.manifest, inpaintModel, "inpainting");
+        const nmsModel = segModel.helpers.nms === undefined ? null : getModel(this.manifest, segModel.helpers.nms, "nms");
+        const maskModel = getModel(this.manifest, segModel.helpers.mask, "mask");
+
+        let [yoloSource, nmsSource, maskSource, miGanSource] = await Promise.all(
+            [segModel, nmsModel, maskModel, inpModel].map(model => model && this.loadModelSource(model, hooks)));
+        if (typeof yoloSource === "string"
+            && [segModel.classes, segModel.inputSize, segModel.decoder].includes(undefined)) {
+            // the metadata is needed, e.g. to detect an end-to-end export, so the model is fetched here instead of
+            // by ONNX Runtime
+            const response = await fetch(yoloSource);
+            if (!response.ok) {
+                throw new Error("Could not load model " + yoloSource + ": " + response.status);
+            }
+            yoloSource = new Uint8Array(await response.arrayBuffer());
+        }
+        const resolvedModel = resolveSegmentationModel(segModel,
+            typeof yoloSource === "string" ? {} : readOnnxMetadata(yoloSource), this.manifest);
+        if (getOutputDecoder(resolvedModel.decoder).needsNms && nmsModel === null) {
+            throw new Error("Model " + segModel.id + " needs an NMS helper for its output decoder "
+                + resolvedModel.decoder + ": add \"nms\" to its helpers in the manifest.");
+        }
+
+        hooks.onProgress?.({stage: "backend"});
+        const candidates = await backendCandidates(this.backend,
+            {source: yoloSource, model: resolvedModel, sessionOptions: this.sessionOptions});
+
+        await this.dispose();
+        const [yolo, nms, mask] = await Promise.all([
+            this.createSession(yoloSource, segModel, candidates),
+            nmsModel && this.createSession(nmsSource, nmsModel, candidates),
+            this.createSession(maskSource, maskModel, candidates),
+        ]);
+
+        this.instanceSegSession = {yolo, nms, mask};
+        this.miGanSession = await this.createSession(miGanSource, inpModel, candidates);
+        this.segmentationModel = resolvedModel;
+        [this.segModelWidth, this.segModelHeight] = resolvedModel.inputSize;
+        this.inpaintModel = inpModel;
+    }
+
+    /**
+     * Loads the bytes of a manifest entry with config.fetchModel.
+     * @param {object} model - The model entry of the manifest.
+     * @param {object} [hooks] - See load.
+     * @returns {Promise<Uint8Array|string>} The model bytes, or the URL if there is no config.fetchModel.
+     */
+    async loadModelSource(model, {onProgress = () => {}} = {}) {
+        const url = this.modelPath + model.file;
+        if (this.fetchModel === null) {
+            return url;
+        }
+        return await this.fetchModel(url, {
+            version: this.manifest.version,
+            sha256: model.sha256,
+            onProgress: (progress) => onProgress({stage: "download", model: model.id, ...progress})
+        });
+    }
+
+    /**
+     * Creates the inference session of a manifest entry on the first working backend.
+     * @param {Uint8Array|string} source - The model bytes or URL.
+     * @param {object} model - The model entry of the manifest.
+     * @param {string[]} candidates - The backends to try, in order.
+     * @returns {Promise<FallbackSession>}
+     */
+    async createSession(source, model, candidates) {
+        return await FallbackSession.create(source, this.sessionOptions, candidates, model.id);
+    }
+
+    /**
+     * @returns {{segmentation: string, nms?: string, mask: string, inpainting: string}} The backend each session
+     *   currently runs on, without nms for end-to-end models.
+     */
+    activeBackends() {
+        const {yolo, nms, mask} = this.instanceSegSession;
+        return {
+            segmentation: yolo.backend,
+            ...(nms ? {nms: nms.backend} : {}),
+            mask: mask.backend,
+            inpainting: this.miGanSession.backend
+        };
+    }
+
+    /**
+     * @returns {number[]} The class ids of the default class preset for the loaded segmentation model, or all its
+     *   classes if the manifest has no default preset.
+     */
+    defaultClasses() {
+        if (this.manifest.defaults.classPreset === undefined) {
+            return getClassNames(this.manifest, this.segmentationModel).map((name, id) => id);
+        }
+        return getPresetClassIds(this.manifest, this.segmentationModel);
+    }
+
+    /**
+     * @returns {boolean} True if all sessions are loaded.
+     */
+    isLoaded() {
+        return this.instanceSegSession !== null && this.miGanSession !== null;
+    }
+
+    /**
+     * Letterboxes an image for the segmentation model.
+     * Like processInputImage, this resizes the image in place to a size divisible by the model stride.
+     * @param {cv.Mat} imageMat - The RGB image matrix with CV_8UC3 data type.
+     * @returns {{image: cv.Mat, transImage: cv.Mat, xRatio: number, yRatio: number}} The prepared input.
+     */
+    prepare(imageMat) {
+        const [transImage, xRatio, yRatio] = preprocessing(imageMat, this.segModelWidth, this.segModelHeight);
+        return {image: imageMat, transImage, xRatio, yRatio};
+    }
+
+    /**
+     * Runs the segmentation and builds the inpainting mask in the size of the original image.
+     * @param {{image: cv.Mat, transImage: cv.Mat, xRatio: number, yRatio: number}} input - The prepared input.
+     * @param {object} [options] - See process.
+     * @param {object} [hooks] - See process.
+     * @returns {Promise<{mask: cv.Mat, detections: object[], filtered: object[], timings: object}>}
+     *   The mask with CV_8UC1 data type (background pixel = 255, object pixel = 0), the detections with box and
+     *   instance mask in image coordinates (see inferYolo) and the detections sorted out by the filters or regions,
+     *   which are not in the mask. The instance masks are not extended by the shadows.
+     */
+    async detect(input, {
+        maskUpscale = 1.2,
+        downshift = defaultDownshift,
+        shadowMode = "downshift",
+        shadowExtent = 0.5,
+        scoreThreshold = 0.2,
+        iouThreshold = 0.9,
+        maxInstances = 100,
+        classes = this.defaultClasses(),
+        classOverrides = {},
+        sliced = false,
+        tileOverlap = 0.2,
+        flipTTA = "off",
+        postprocessing = "onnx",
+        filters = {},
+        regions = []
+    } = {}, {onProgress = () => {}, signal = null} = {}) {
+        const timings = {};
+        signal?.throwIfAborted();
+        onProgress({stage: "segmentation"});
+        let startTime = performance.now();
+        const yoloOptions = {
+            upscaleFactor: maskUpscale,
+            scoreThreshold,
+            iouThreshold,
+            maxInstances,
+            searchinglabels: classes,
+            classOverrides: Object.fromEntries(Object.entries(classOverrides).map(([label, override]) =>
+                [label, {scoreThreshold: override.scoreThreshold, upscaleFactor: override.maskUpscale}])),
+            classNames: this.segmentationModel.classes,
+            postprocessing,
+            decoder: this.segmentationModel.decoder,
+            signal
+        };
+        // voting needs the objects below the threshold too, the mean score of both passes is compared to it
+        const globalOptions = flipTTA === "vote" ? {
+            ...yoloOptions,
+            scoreThreshold: scoreThreshold / 2,
+            classOverrides: Object.fromEntries(Object.entries(yoloOptions.classOverrides).map(([label, override]) =>
+                [label, {...override, scoreThreshold: override.scoreThreshold && override.scoreThreshold / 2}]))
+        } : yoloOptions;
+        let [mask, detections] = await inferYolo(input.transImage, input.xRatio, input.yRatio, this.instanceSegSession,
+            this.segModelWidth, this.segModelHeight,
+            {...globalOptions, originalSize: {width: input.image.cols, height: input.image.rows}});
+        const tiles = sliced ? tileRects(input.image.cols, input.image.rows, this.segModelWidth, this.segModelHeight, tileOverlap) : [];
+        try {
+            if (flipTTA !== "off") {
+                onProgress({stage: "flip"});
+                const flipStart = performance.now();
+                detections = mergeFlipped(detections, await this.detectFlipped(input.image, globalOptions), flipTTA,
+                    (label) => classOverrides[label]?.scoreThreshold ?? scoreThreshold);
+                timings.flipTTA = performance.now() - flipStart;
+            }
+            if (tiles.length > 1) {
+                detections = mergeDetections([
+                    ...detections,
+                    ...await this.detectTiles(input.image, tiles, yoloOptions, onProgress)
+                ]);
+            }
+        } catch (error) {
+            mask.delete();
+            throw error;
+        }
+        timings.segmentation = performance.now() - startTime - (timings.flipTTA ?? 0);
+        const [kept, filtered] = filterDetections(detections, input.image.cols, input.image.rows, filters);
+        const [inRegions, outsideRegions] = applyRegions(kept, input.image.cols, input.image.rows, regions);
+        detections = inRegions;
+        filtered.push(...outsideRegions);
+
+        onProgress({stage: "mask"});
+        startTime = performance.now();
+        let resizedMask;
+        if (tiles.length > 1 || flipTTA !== "off" || filtered.length > 0) {
+            // the global mask lacks the objects of the other passes or holds filtered ones, so the mask is built
+            // from the detections
+            resizedMask = maskFromDetections(input.image.cols, input.image.rows, detections);
+        } else {
+            resizedMask = new cv.Mat();
+            cv.resize(mask, resizedMask, new cv.Size(input.image.cols, input.image.rows), 0, 0, cv.INTER_LANCZOS4); // see for variants https://docs.opencv.org/3.4/da/d54/group__imgproc__transform.html#ga5bb5a1fea74ea38e1a5445ca803ff121
+        }
+        mask.delete();
+
+        const extendedMask = extendMask(input.image, resizedMask, detections, {downshift, shadowMode, shadowExtent});
+        resizedMask.delete();
+        timings.maskScaling = performance.now() - startTime;
+
+        return {mask: extendedMask, detections, filtered, timings};
+    }
+
+    /**
+     * Runs the segmentation on the horizontally flipped image. The image is flipped before letterboxing, as
+     * flipping the letterboxed model input would move the padding to the left.
+     * @param {cv.Mat} image - The RGB image matrix with CV_8UC3 data type.
+     * @param {object} yoloOptions - The options of inferYolo, without originalSize.
+     * @returns {Promise<object[]>} The detections, mirrored back into image coordinates.
+     */
+    async detectFlipped(image, yoloOptions) {
+        const width = image.cols;
+        const height = image.rows;
+        const flipped = new cv.Mat();
+        cv.flip(image, flipped, 1);
+        const [transFlipped, xRatio, yRatio] = preprocessing(flipped, this.segModelWidth, this.segModelHeight);
+        flipped.delete();
+        try {
+            const [flippedMask, detections] = await inferYolo(transFlipped, xRatio, yRatio, this.instanceSegSession,
+                this.segModelWidth, this.segModelHeight, {...yoloOptions, originalSize: {width, height}});
+            flippedMask.delete();
+            return detections.map(detection => flipDetection(detection, width));
+        } finally {
+            transFlipped.delete();
+        }
+    }
+
+    /**
+     * Runs the segmentation on tiles of the image at full resolution, for objects too small in the global view.
+     * @param {cv.Mat} image - The RGB image matrix with CV_8UC3 data type.
+     * @param {{x: number, y: number, width: number, height: number}[]} tiles - The tiles (see tileRects).
+     * @param {object} yoloOptions - The options of inferYolo, without originalSize.
+     * @param {function(object): void} onProgress - Called with the stage "segmentation" and the tile number before
+     *   each tile.
+     * @returns {Promise<object[]>} The detections of all tiles in image coordinates, not merged yet.
+     */
+    async detectTiles(image, tiles, yoloOptions, onProgress) {
+        const detections = [];
+        for (const [index, tile] of tiles.entries()) {
+            yoloOptions.signal?.throwIfAborted();
+            onProgress({stage: "segmentation", tile: index + 1, tiles: tiles.length});
+            const roi = image.roi(new cv.Rect(tile.x, tile.y, tile.width, tile.height));
+            const tileMat = roi.clone();
+            roi.delete();
+            const [transTile, xRatio, yRatio] = preprocessing(tileMat, this.segModelWidth, this.segModelHeight);
+            tileMat.delete();
+            try {
+                const [tileMask, tileDetections] = await inferYolo(transTile, xRatio, yRatio, this.instanceSegSession,
+                    this.segModelWidth, this.segModelHeight,
+                    {...yoloOptions, originalSize: {width: tile.width, height: tile.height}});
+                tileMask.delete();
+                detections.push(...tileDetections.map(detection => offsetDetection(detection, tile.x, tile.y)));
+            } finally {
+                transTile.delete();
+            }
+        }
+        return detections;
+    }
+
+    /**
+     * Inpaints the masked area of an image.
+     * @param {cv.Mat} imageMat - The RGB image matrix with CV_8UC3 data type.
+     * @param {cv.Mat} mask - The mask with CV_8UC1 data type in the size of the image.
+     * @returns {Promise<cv.Mat>} The resulting image matrix with CV_8UC3 data type.
+     */
+    async inpaint(imageMat, mask) {
+        return await inferMiGan(imageMat, mask, this.miGanSession);
+    }
+
+    /**
+     * Inpaints as step of process and removeDetections: the mask is freed if the inpainting fails or the signal was
+     * aborted while it ran, the result is discarded then.
+     * @param {cv.Mat} imageMat - See inpaint.
+     * @param {cv.Mat} mask - See inpaint.
+     * @param {AbortSignal|null} signal - The signal of the hooks.
+     * @returns {Promise<cv.Mat>} See inpaint.
+     */
+    async inpaintStep(imageMat, mask, signal) {
+        let result;
+        try {
+            result = await this.inpaint(imageMat, mask);
+        } catch (error) {
+            mask.delete();
+            throw error;
+        }
+        if (signal?.aborted) {
+            result.delete();
+            mask.delete();
+            signal.throwIfAborted();
+        }
+        return result;
+    }
+
+    /**
+     * Removes the detected objects from an image.
+     * @param {cv.Mat|{image: cv.Mat, transImage: cv.Mat, xRatio: number, yRatio: number}} imageSource
+     *   An RGB image matrix with CV_8UC3 data type or an input already prepared by processInputImage / prepare.
+     *   A plain matrix is prepared on a copy, so it is not modified.
+     * @param {object} [options]
+     * @param {number} [options.maskUpscale=1.2] - Factor by which the segmentation mask is upscaled.
+     * @param {number} [options.downshift=0.02] - Relative amount (percentage of image height) to shift down the mask.
+     * @param {string} [options.shadowMode="downshift"] - How the mask is extended to cover the shadows of the objects:
+     *   by a copy shifted down by downshift or by the shadows estimated in the image (see shadowModes).
+     * @param {number} [options.shadowExtent=0.5] - The maximum extent of an estimated shadow below its object, as
+     *   fraction of the object height (see estimateShadows).
+     * @param {number} [options.scoreThreshold=0.2] - Confidence threshold for detections in the NMS.
+     * @param {number} [options.iouThreshold=0.9] - Overlap (intersection over union) above which the NMS merges
+     *   boxes of a class.
+     * @param {number} [options.maxInstances=100] - The maximum number of instances per class.
+     * @param {number[]} [options.classes] - The class ids of the objects to remove (default: the default class
+     *   preset of the manifest).
+     * @param {Object<number, {scoreThreshold?: number, maskUpscale?: number}>} [options.classOverrides={}]
+     *   Score threshold and mask upscale per class id, replacing scoreThreshold and maskUpscale for that class.
+     * @param {boolean} [options.sliced=false] - Also runs the segmentation on overlapping tiles of the model input
+     *   size at full resolution, which finds small, distant objects in large images. The detections of the tiles and
+     *   the global view are merged (see mergeDetections). Slower by about the number of tiles.
+     * @param {number} [options.tileOverlap=0.2] - The minimum overlap of neighbouring tiles as fraction of the tile.
+     * @param {string} [options.flipTTA="off"] - Test-time augmentation: also runs the segmentation on the
+     *   horizontally flipped image and merges both passes by "union" or "vote" (see mergeFlipped). Its time is
+     *   reported separately as timings.flipTTA.
+     * @param {string} [options.postprocessing="onnx"] - The implementation of NMS and mask assembly: the ONNX helper
+     *   graphs or their JavaScript equivalent (see postprocessingModes).
+     * @param {object} [options.filters={}] - Sorts out detections by box area, aspect ratio and contact with the image
+     *   border before the mask is built (see filterDetections). They are returned as filtered.
+     * @param {{mode: string, points: number[][]}[]} [options.regions=[]] - Polygons the objects to remove have to lie
+     *   in ("include") or must not lie in ("exclude"), see applyRegions. Objects sorted out are returned as filtered.
+     * @param {object} [hooks]
+     * @param {function({stage: string, tile?: number, tiles?: number}): void} [hooks.onProgress] - Called before each
+     *   step ("segmentation", "flip", "mask", "inpainting") and, in sliced mode, before each tile with its number.
+     * @param {AbortSignal} [hooks.signal] - Cancels the processing between the steps. All matrices allocated by the
+     *   pipeline are freed and the promise rejects with the reason of the signal. A running model inference cannot
+     *   be interrupted, so a cancel during the inpainting takes effect once it finished; its result is discarded.
+     * @returns {Promise<{result: cv.Mat, mask: cv.Mat, detections: object[], filtered: object[], timings: object}>}
+     *   The resulting image with CV_8UC3 data type, the used mask with CV_8UC1 data type, the removed and the
+     *   filtered detections and the elapsed milliseconds per step plus the backend each session ran on
+     *   (timings.backends). The caller owns both matrices.
+     */
+    async process(imageSource, options = {}, hooks = {}) {
+        if (!this.isLoaded()) {
+            throw new Error("Models are not loaded. Call load() first.");
+        }
+        const startTime = performance.now();
+        const ownsInput = imageSource instanceof cv.Mat;
+        const input = ownsInput ? this.prepare(imageSource.clone()) : imageSource;
+
+        try {
+            const {mask, detections, filtered, timings} = await this.detect(input, options, hooks);
+            if (hooks.signal?.aborted) {
+                mask.delete();
+                hooks.signal.throwIfAborted();
+            }
+
+            hooks.onProgress?.({stage: "inpainting"});
+            const inpaintStart = performance.now();
+            const result = await this.inpaintStep(input.image, mask, hooks.signal);
+            timings.inpainting = performance.now() - inpaintStart;
+            timings.total = performance.now() - startTime;
+            timings.backends = this.activeBackends(); // after the run, as a failing backend may have been replaced
+
+            return {result, mask, detections, filtered, timings};
+        } finally {
+            if (ownsInput) {
+                input.image.delete();
+                input.transImage.delete();
+            }
+        }
+    }
+
+    /**
+     * Removes only the given detections, e.g. those the user kept selected after detect.
+     * The mask is merged from their instance masks instead of being segmented again.
+     * @param {{image: cv.Mat, transImage: cv.Mat, xRatio: number, yRatio: number}} input - The prepared input the
+     *   detections were found in.
+     * @param {object[]} detections - The detections to remove, with instance masks in image coordinates.
+     * @param {object} [options]
+     * @param {number} [options.downshift=0.02] - Relative amount (percentage of image height) to shift down the mask.
+     * @param {string} [options.shadowMode="downshift"] - See process.
+     * @param {number} [options.shadowExtent=0.5] - See process.
+     * @param {object} [hooks] - See process.
+     * @returns {Promise<{result: cv.Mat, mask: cv.Mat, detections: object[], timings: object}>} See process.
+     */
+    async removeDetections(input, detections, {
+        downshift = defaultDownshift, shadowMode = "downshift", shadowExtent = 0.5
+    } = {}, {onProgress = () => {}, signal = null} = {}) {
+        if (!this.isLoaded()) {
+            throw new Error("Models are not loaded. Call load() first.");
+        }
+        signal?.throwIfAborted();
+        const timings = {};
+        const startTime = performance.now();
+        onProgress({stage: "mask"});
+        const instanceMask = maskFromDetections(input.image.cols, input.image.rows, detections);
+        const mask = extendMask(input.image, instanceMask, detections, {downshift, shadowMode, shadowExtent});
+        instanceMask.delete();
+        timings.maskScaling = performance.now() - startTime;
+        if (signal?.aborted) {
+            mask.delete();
+            signal.throwIfAborted();
+        }
+
+        onProgress({stage: "inpainting"});
+        const inpaintStart = performance.now();
+        const result = await this.inpaintStep(input.image, mask, signal);
+        timings.inpainting = performance.now() - inpaintStart;
+        timings.total = performance.now() - startTime;
+        timings.backends = this.activeBackends();
+        return {result, mask, detections, timings};
+    }
+
+    /**
+     * Removes the objects of imported annotations, e.g. hand-labelled in CVAT, instead of detected ones.
+     * The segmentation is skipped; the instances are rasterized into the mask.
+     * @param {{image: cv.Mat, transImage: cv.Mat, xRatio: number, yRatio: number}} input - The prepared input.
+     * @param {object[]} instances - The annotated instances (see parseCocoAnnotations and parseYoloSeg).
+     * @param {object} [options]
+     * @param {boolean} [options.adjustImported=false] - Whether to apply maskUpscale and the shadow extension, which
+     *   are meant for the coarse masks of the segmentation, to the imported masks too.
+     * @param {number} [options.maskUpscale=1.2] - Factor by which each instance mask is enlarged.
+     * @param {number} [options.downshift=0.02] - Relative amount (percentage of image height) to shift down the mask.
+     * @param {string} [options.shadowMode="downshift"] - See process.
+     * @param {number} [options.shadowExtent=0.5] - See process.
+     * @param {object} [hooks] - See process.
+     * @returns {Promise<{result: cv.Mat, mask: cv.Mat, detections: object[], timings: object}>} See process.
+     */
+    async removeAnnotated(input, instances, {
+        adjustImported = false, maskUpscale = 1.2, downshift = defaultDownshift, shadowMode = "downshift",
+        shadowExtent = 0.5
+    } = {}, hooks = {}) {
+        const detections = rasterizeAnnotations(instances, input.image.cols, input.image.rows,
+            adjustImported ? maskUpscale : 1);
+        const shadowOptions = adjustImported ? {downshift, shadowMode, shadowExtent} : {downshift: 0};
+        return await this.removeDetections(input, detections, shadowOptions, hooks);
+    }
+
+    /**
+     * Checks the JavaScript post-processing against the ONNX helper graphs on an image (see comparePostprocessing).
+     * @param {{image: cv.Mat, transImage: cv.Mat, xRatio: number, yRatio: number}} input - The prepared input.
+     * @param {object} [options] - The maskUpscale, scoreThreshold, iouThreshold and maxInstances of process.
+     * @returns {Promise<{selected: number, selectionDifferences: number, maskPixels: number, maskDifferences: number}>}
+     *   The detections selected by the helper graph and the differences of the JavaScript version.
+     */
+    async checkPostprocessing(input, {maskUpscale = 1.2, scoreThreshold = 0.2, iouThreshold = 0.9, maxInstances = 100} = {}) {
+        if (!this.isLoaded()) {
+            throw new Error("Models are not loaded. Call load() first.");
+        }
+        if (!getOutputDecoder(this.segmentationModel.decoder).needsNms) {
+            throw new Error("Model " + this.segmentationModel.id + " is an end-to-end model, it has no NMS to check.");
+        }
+        return await comparePostprocessing(input.transImage, input.xRatio, input.yRatio, this.instanceSegSession,
+            this.segModelWidth, this.segModelHeight,
+            {upscaleFactor: maskUpscale, scoreThreshold, iouThreshold, maxInstances});
+    }
+
+    /**
+     * Releases the ONNX sessions.
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        if (this.instanceSegSession) {
+            await Promise.all(Object.values(this.instanceSegSession).map(session => session?.release()));
+        }
+        if (this.miGanSession) {
+            await this.miGanSession.release();
+        }
+        this.instanceSegSession = null;
+        this.miGanSession = null;
+    }
+}
+
+
+/**
+ * Extends a mask to cover the shadows below the objects, e.g. below cars: by a copy shifted down or by the shadows
+ * estimated in the image.
+ * @param {cv.Mat} image - The RGB image matrix with CV_8UC3 data type.
+ * @param {cv.Mat} mask - The mask with CV_8UC1 data type (object pixel = 0).
+ * @param {object[]} detections - The detections in the mask, with instance masks in image coordinates.
+ * @param {{downshift: number, shadowMode?: string, shadowExtent?: number}} options - See process.
+ * @returns {cv.Mat} The combined mask, a new matrix.
+ */
+function extendMask(image, mask, detections, {downshift, shadowMode = "downshift", shadowExtent = 0.5}) {
+    const extendedMask = shadowMode === "estimate"
+        ? estimateShadows(image, detections, shadowExtent)
+        : shiftDown(mask, downshift);
+    cv.bitwise_and(mask, extendedMask, extendedMask); // combine the two masks
+    return extendedMask;
+}
@@ -0,0 +1,197 @@
+export {PipelineClient}
+
+/**
+ * Main thread proxy of the AutoKorrekturPipeline running in inferenceWorker.js.
+ * Images are exchanged as ImageData whose buffers are transferred, so the page never blocks on inference.
+ */
+class PipelineClient {
+
+    /**
+     * @param {object} [config] - The config of the AutoKorrekturPipeline. Relative model paths are resolved
+     *   against the page, as the worker lives in js/.
+     * @param {number} [numThreads=0] - The number of WASM threads, 0 to choose by the number of cores. Threads are
+     *   only used if the page is cross-origin isolated (see wasmInfo).
+     */
+    constructor(config = {}, numThreads = 0) {
+        this.worker = new Worker(new URL("./inferenceWorker.js", import.meta.url));
+        this.nextId = 0;
+        this.pending = new Map(); // id -> {resolve, reject, onProgress}
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => console.error("Inference worker error:", event.message);
+
+        const modelPath = new URL(config.modelPath ?? "model/", document.baseURI).href;
+        this.ready = this.request("init", {config: {...config, modelPath}, numThreads});
+    }
+
+    /**
+     * @returns {Promise<{simd: boolean, sharedArrayBuffer: boolean, crossOriginIsolated: boolean, cores: number,
+     *   maxThreads: number, reason: string, numThreads: number}>} The wasm support of the worker and the configured
+     *   number of threads. reason explains why only one thread is possible.
+     */
+    async wasmInfo() {
+        const {wasm} = await this.ready;
+        return wasm;
+    }
+
+    /**
+     * Stops the worker. Pending requests are rejected.
+     */
+    terminate() {
+        this.worker.terminate();
+        for (const {reject} of this.pending.values()) {
+            reject(new Error("The inference worker was terminated."));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Probes the backends ONNX Runtime can use in the worker.
+     * @returns {Promise<string[]>} The supported backends, preferred first.
+     */
+    async probeBackends() {
+        await this.ready;
+        const {backends} = await this.request("probeBackends", {});
+        return backends;
+    }
+
+    /**
+     * Loads the ONNX models in the worker.
+     * @param {string} [segmentationModel] - The manifest id of the segmentation model (default: manifest default).
+     * @param {string} [inpaintModel] - The manifest id of the inpainting model (default: manifest default).
+     * @param {function({stage: string, model: string, loaded: number, total: number, cached: boolean}): void} [onProgress]
+     *   Called while the model files are downloaded or read from the cache.
+     * @param {string} [backend] - The backend setting ("auto", "wasm", "webgl" or "webgpu"), kept for later loads.
+     * @returns {Promise<{backends: {segmentation: string, nms: string, mask: string, inpainting: string}, model: object}>}
+     *   The backend each session runs on and the manifest entry of the segmentation model with its class names and
+     *   input size, completed by the model metadata (see resolveSegmentationModel).
+     */
+    async load(segmentationModel = undefined, inpaintModel = undefined, onProgress = undefined, backend = undefined) {
+        await this.ready;
+        return await this.request("load", {segmentationModel, inpaintModel, backend}, [], onProgress);
+    }
+
+    /**
+     * Sets the input of the single image mode. The buffer of the image is transferred to the worker.
+     * @param {ImageData} image - The decoded image.
+     * @param {number|null} downscale - The max Megapixel to be downscaled to or null.
+     * @returns {Promise<ImageData>} The prepared (possibly downscaled) input image.
+     */
+    async setInput(image, downscale) {
+        const {image: prepared} = await this.request("setInput", {image, downscale}, [image.data.buffer]);
+        return prepared;
+    }
+
+    /**
+     * Runs the pipeline on the input of the single image mode.
+     * @param {object} options - The options of AutoKorrekturPipeline.process.
+     * @param {object} [flags]
+     * @param {boolean} [flags.overlay=false] - Whether to return the input blended with the mask.
+     * @param {boolean} [flags.continueWithResult=false] - Whether the result becomes the next input.
+     * @param {boolean} [flags.annotations=false] - Whether to return the detections as annotation instances for the
+     *   export (see describeInstances), as annotations: {width, height, instances}.
+     * @param {boolean} [flags.vectors=false] - Whether to return the polygons of the removed areas (see
+     *   vectorizeResult) as vectors.
+     * @param {function({stage: string}): void} [flags.onProgress] - Called when the worker starts a step.
+     * @param {AbortSignal} [flags.signal] - Cancels the run in the worker, which then frees its matrices.
+     *   The promise rejects with an AbortError.
+     * @returns {Promise<{result: ImageData, mask: ImageData, overlay?: ImageData, annotations?: object,
+     *   vectors?: object, detections: object[], filtered: object[], timings: object}>}
+     */
+    run(options, {
+        overlay = false, continueWithResult = false, annotations = false, vectors = false, onProgress, signal
+    } = {}) {
+        return this.request("run", {options, overlay, continueWithResult, annotations, vectors}, [], onProgress, signal);
+    }
+
+    /**
+     * Detects the objects in the input of the single image mode, as first step of reviewing them.
+     * @param {object} options - The options of AutoKorrekturPipeline.detect.
+     * @param {object} [flags]
+     * @param {function({stage: string}): void} [flags.onProgress] - Called when the worker starts a step.
+     * @param {AbortSignal} [flags.signal] - Cancels the detection.
+     * @returns {Promise<{detections: object[], filtered: object[], timings: object}>} The detections with boxes and
+     *   instance masks, and those sorted out by the filters.
+     */
+    detect(options, {onProgress, signal} = {}) {
+        return this.request("detect", {options}, [], onProgress, signal);
+    }
+
+    /**
+     * Removes some of the objects found by detect from the input of the single image mode.
+     * @param {number[]} indices - The indices of the detections to remove.
+     * @param {object} options - The options of AutoKorrekturPipeline.removeDetections.
+     * @param {object} [flags] - See run.
+     * @returns {Promise<{result: ImageData, mask: ImageData, overlay?: ImageData, annotations?: object,
+     *   vectors?: object, detections: object[], filtered: object[], timings: object}>}
+     */
+    removeDetections(indices, options, {
+        overlay = false, continueWithResult = false, annotations = false, vectors = false, onProgress, signal
+    } = {}) {
+        return this.request("removeDetections", {indices, options, overlay, continueWithResult, annotations, vectors},
+            [], onProgress, signal);
+    }
+
+    /**
+     * Runs the pipeline once on an image, as used by the batch mode. The buffer of the image is transferred.
+     * @param {ImageData} image - The decoded image.
+     * @param {number|null} downscale - The max Megapixel to be downscaled to or null.
+     * @param {object} options - The options of AutoKorrekturPipeline.process.
+     * @param {object} [flags] - See run.
+     * @param {object[]|null} [flags.imported=null] - Imported annotation instances to remove instead of detected
+     *   objects (see AutoKorrekturPipeline.removeAnnotated).
+     * @returns {Promise<{result: ImageData, mask: ImageData, overlay?: ImageData, annotations?: object,
+     *   vectors?: object, detections: object[], filtered: object[], timings: object}>}
+     */
+    process(image, downscale, options, {
+        overlay = false, annotations = false, vectors = false, imported = null, onProgress, signal
+    } = {}) {
+        return this.request("process", {image, downscale, options, overlay, annotations, vectors, imported},
+            [image.data.buffer], onProgress, signal);
+    }
+
+    /**
+     * Posts a message to the worker and waits for its answer.
+     * @param {string} type - The name of the worker handler.
+     * @param {object} payload
+     * @param {Transferable[]} [transfer=[]]
+     * @param {function(object): void} [onProgress]
+     * @param {AbortSignal} [signal] - Sends a cancel message for the request when aborted.
+     * @returns {Promise<object>} The payload of the answer.
+     */
+    request(type, payload, transfer = [], onProgress = () => {}, signal = null) {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        const id = this.nextId++;
+        const cancel = () => this.worker.postMessage({id: this.nextId++, type: "cancel", payload: {id}});
+        signal?.addEventListener("abort", cancel, {once: true});
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, {resolve, reject, onProgress});
+            this.worker.postMessage({id, type, payload}, transfer);
+        }).finally(() => signal?.removeEventListener("abort", cancel));
+    }
+
+    /**
+     * Dispatches a message of the worker to the pending request.
+     * @param {{id: number, type: string, payload: object}} message
+     */
+    handleMessage({id, type, payload}) {
+        const request = this.pending.get(id);
+        if (!request) {
+            return;
+        }
+        if (type === "progress") {
+            request.onProgress(payload);
+            return;
+        }
+        this.pending.delete(id);
+        if (type === "error" && payload.name === "AbortError") {
+            request.reject(new DOMException(payload.message, "AbortError"));
+        } else if (type === "error") {
+            request.reject(new Error(payload.message));
+        } else {
+            request.resolve(payload);
+        }
+    }
+}
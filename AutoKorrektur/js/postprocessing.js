@@ -0,0 +1,175 @@
+export {postprocessingModes, nonMaxSuppression, assembleMask}
+
+/**
+ * The selectable post-processing implementations of the segmentation output: "onnx" runs the helper graphs
+ * nms-yolov8.onnx and mask-yolov8-seg.onnx, "js" their JavaScript equivalent (nonMaxSuppression and assembleMask) and
+ * "js-class-aware" the JavaScript version with a separate NMS per class.
+ * @type {string[]}
+ */
+const postprocessingModes = ["onnx", "js", "js-class-aware"];
+
+const maskThreshold = 0.5; // probability from which a pixel belongs to the instance
+
+/**
+ * Selects the detections of the segmentation output by non-maximum suppression, as the NMS helper graph does:
+ * candidates are ranked by their highest class score, those above the score threshold are taken greedily and boxes
+ * overlapping a taken one by more than the IoU threshold are dropped. The helper graph suppresses across all classes
+ * (a box of a car suppresses an overlapping truck), with classAware each class is suppressed on its own.
+ * @param {{data: Float32Array, dims: number[]}} output - The detection output [1, 4 + numClasses + 32, candidates]:
+ *   box as center x, center y, width, height, the class scores and the mask coefficients per candidate.
+ * @param {object} options
+ * @param {number} options.numClasses - The number of classes of the model.
+ * @param {number} options.maxInstances - The maximum number of detections (per class with classAware).
+ * @param {number} options.iouThreshold - Boxes overlapping a selected one by more than this are dropped.
+ * @param {number} options.scoreThreshold - Candidates need a highest class score above this.
+ * @param {boolean} [options.classAware=false] - Whether boxes only suppress boxes of the same class.
+ * @returns {{data: Float32Array, dims: number[]}} The selected candidates [1, selected, 4 + numClasses + 32] in the
+ *   layout of the output of the NMS helper graph, ordered by class (with classAware) and by descending score.
+ */
+function nonMaxSuppression({data, dims: [, channels, count]}, {
+    numClasses, maxInstances, iouThreshold, scoreThreshold, classAware = false
+}) {
+    const groups = new Map(); // candidates by class, a single group without classAware
+    for (let i = 0; i < count; i++) {
+        let score = -Infinity;
+        let label = 0;
+        for (let c = 0; c < numClasses; c++) {
+            if (data[(4 + c) * count + i] > score) {
+                score = data[(4 + c) * count + i];
+                label = c;
+            }
+        }
+        if (score > scoreThreshold) {
+            const group = classAware ? label : 0;
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push({index: i, score, box: candidateCorners(data, count, i)});
+        }
+    }
+
+    const selected = [];
+    for (const group of [...groups.keys()].sort((a, b) => a - b)) {
+        const kept = [];
+        for (const candidate of groups.get(group).sort((a, b) => b.score - a.score || a.index - b.index)) {
+            if (kept.length >= maxInstances) {
+                break;
+            }
+            if (kept.every(({box}) => intersectionOverUnion(box, candidate.box) <= iouThreshold)) {
+                kept.push(candidate);
+            }
+        }
+        selected.push(...kept);
+    }
+
+    const rows = new Float32Array(selected.length * channels);
+    selected.forEach(({index}, row) => {
+        for (let c = 0; c < channels; c++) {
+            rows[row * channels + c] = data[c * count + index];
+        }
+    });
+    return {data: rows, dims: [1, selected.length, channels]};
+}
+
+/**
+ * Assembles the mask of a detection from the mask prototypes, as the mask helper graph does: the prototypes are
+ * cropped to the box, weighted with the mask coefficients and passed through the sigmoid, the probabilities are
+ * resized bilinearly to the (upscaled) target rect, thresholded at 0.5 and placed into a square of the model size.
+ * Rounding and truncation follow the ONNX operators (Round to even, Cast towards zero) and the resize computes in
+ * float32 like ONNX Runtime, so pixels at the threshold end up on the same side.
+ * @param {number[]|Float32Array} box - The box [x, y, width, height] in model input pixels, top-left based.
+ * @param {number[]|Float32Array} coefficients - The mask coefficients of the detection, one per prototype.
+ * @param {{data: Float32Array, dims: number[]}} prototypes - The mask prototypes [1, count, height, width].
+ * @param {number} maxSize - The larger side of the model input, the size of the resulting mask.
+ * @param {number[]} rect - The target [x, y, width, height] in model input pixels, may extend beyond the input.
+ * @returns {Uint8Array} The mask of maxSize x maxSize pixels, row by row, 255 for object pixels and 0 else.
+ */
+function assembleMask(box, coefficients, {data, dims: [, count, protoHeight, protoWidth]}, maxSize, rect) {
+    const result = new Uint8Array(maxSize * maxSize);
+    const toProto = (value, protoSize) => roundHalfToEven(Math.fround(Math.fround(value * protoSize) / maxSize));
+    const cropX = toProto(box[0], protoWidth);
+    const cropY = toProto(box[1], protoHeight);
+    const x0 = Math.max(0, cropX);
+    const y0 = Math.max(0, cropY);
+    const cropWidth = Math.min(protoWidth, cropX + toProto(box[2], protoWidth)) - x0;
+    const cropHeight = Math.min(protoHeight, cropY + toProto(box[3], protoHeight)) - y0;
+    const [targetX, targetY, targetWidth, targetHeight] = rect.map(value => Math.trunc(Math.fround(value)));
+    if (cropWidth <= 0 || cropHeight <= 0 || targetWidth <= 0 || targetHeight <= 0) {
+        return result;
+    }
+
+    const probabilities = new Float32Array(cropWidth * cropHeight);
+    const planeSize = protoWidth * protoHeight;
+    for (let y = 0; y < cropHeight; y++) {
+        for (let x = 0; x < cropWidth; x++) {
+            const offset = (y0 + y) * protoWidth + x0 + x;
+            let logit = 0;
+            for (let k = 0; k < count; k++) {
+                logit += coefficients[k] * data[k * planeSize + offset];
+            }
+            probabilities[y * cropWidth + x] = 1 / (1 + Math.exp(-logit));
+        }
+    }
+
+    // bilinear resize with half-pixel centers and the source coordinates clamped to the crop, in float32 like ONNX
+    const f = Math.fround;
+    const sourceWeights = (targetSize, sourceSize) => Array.from({length: targetSize}, (_, index) => {
+        const scale = f(targetSize / sourceSize);
+        const position = Math.min(sourceSize - 1, Math.max(0, f(f(f(index + 0.5) / scale) - 0.5)));
+        const low = Math.trunc(position);
+        const high = Math.min(low + 1, sourceSize - 1);
+        return low === high ? [low, high, 0.5, 0.5] : [low, high, f(position - low), f(high - position)];
+    });
+    const columns = sourceWeights(targetWidth, cropWidth);
+    const rows = sourceWeights(targetHeight, cropHeight);
+    for (let y = Math.max(0, -targetY); y < Math.min(targetHeight, maxSize - targetY); y++) {
+        const [top, bottom, dy1, dy2] = rows[y];
+        for (let x = Math.max(0, -targetX); x < Math.min(targetWidth, maxSize - targetX); x++) {
+            const [left, right, dx1, dx2] = columns[x];
+            const value = f(f(f(f(f(f(dx2 * dy2) * probabilities[top * cropWidth + left])
+                + f(f(dx1 * dy2) * probabilities[top * cropWidth + right]))
+                + f(f(dx2 * dy1) * probabilities[bottom * cropWidth + left]))
+                + f(f(dx1 * dy1) * probabilities[bottom * cropWidth + right])));
+            if (value >= maskThreshold) {
+                result[(targetY + y) * maxSize + targetX + x] = 255;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {Float32Array} data - The detection output.
+ * @param {number} count - The number of candidates.
+ * @param {number} index - The index of the candidate.
+ * @returns {number[]} The box of the candidate as [left, top, right, bottom].
+ */
+function candidateCorners(data, count, index) {
+    const [cx, cy, w, h] = [0, 1, 2, 3].map(c => data[c * count + index]);
+    return [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2];
+}
+
+/**
+ * @param {number[]} a - A box as [left, top, right, bottom].
+ * @param {number[]} b - Another box.
+ * @returns {number} Intersection over union of the boxes, 0 if they do not intersect or one is empty.
+ */
+function intersectionOverUnion(a, b) {
+    const intersection = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]))
+        * Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+    const areaA = (a[2] - a[0]) * (a[3] - a[1]);
+    const areaB = (b[2] - b[0]) * (b[3] - b[1]);
+    if (intersection <= 0 || areaA <= 0 || areaB <= 0) {
+        return 0;
+    }
+    return intersection / (areaA + areaB - intersection);
+}
+
+/**
+ * @param {number} value
+ * @returns {number} The value rounded to the nearest integer, halves to the even one (like ONNX Round).
+ */
+function roundHalfToEven(value) {
+    const rounded = Math.round(value);
+    return Math.abs(value % 1) === 0.5 && rounded % 2 !== 0 ? rounded - 1 : rounded;
+}
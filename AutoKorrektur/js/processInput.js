@@ -1,4 +1,4 @@
-export {processInputImage, preprocessing}
+export {processInputImage, processImageMat, readImageData, preprocessing}
 
 /**
  * @param  file The file Url of the image.
@@ -16,6 +16,18 @@ async function processInputImage(file, modelWidth, modelHeight, downscale = null
 
     const cvImageMat = cv.imread(imageElement);
     imageElement = null
+    return processImageMat(cvImageMat, modelWidth, modelHeight, downscale);
+}
+
+/**
+ * Converts a decoded image to RGB, letterboxes it for the model and downscales it. Does not access the DOM.
+ * @param {cv.Mat} cvImageMat The decoded image matrix with CV_8UC4 (RGBA) data type. It is deleted afterwards.
+ * @param modelWidth The width of the model.
+ * @param modelHeight The height of the model.
+ * @param {Number|null} downscale The max Megapixel to be downscaled to or null.
+ * @returns {[cv.Mat, cv.Mat, number, number]} The same array as processInputImage.
+ */
+function processImageMat(cvImageMat, modelWidth, modelHeight, downscale = null) {
     const cvRgbImageMat = new cv.Mat(cvImageMat.rows, cvImageMat.cols, cv.CV_8UC3);
     cv.cvtColor(cvImageMat, cvRgbImageMat, cv.COLOR_RGBA2RGB, 0);
     cvImageMat.delete();
@@ -38,6 +50,22 @@ async function processInputImage(file, modelWidth, modelHeight, downscale = null
 }
 
 
+/**
+ * Reads and decodes the image file on the main thread, so it can be transferred to the inference worker.
+ * @param file The file Url of the image.
+ * @returns {Promise<ImageData>} The decoded RGBA image.
+ */
+async function readImageData(file) {
+    const imageElement = await readImageFile(file);
+    const canvas = document.createElement("canvas");
+    canvas.width = imageElement.naturalWidth;
+    canvas.height = imageElement.naturalHeight;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(imageElement, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+
 /**
  * Reads the image file and return ImageElement.
  * @param file The file Url of the image.
@@ -0,0 +1,149 @@
+export {attachRegionEditor}
+
+const regionStyles = {
+    include: {fill: "rgba(0, 160, 255, 0.25)", stroke: "rgb(0, 160, 255)", dash: []},
+    exclude: {fill: "rgba(0, 0, 0, 0.35)", stroke: "rgb(255, 255, 255)", dash: [3, 2]}
+};
+const closeDistance = 0.02; // a tap this close to the first corner (fraction of the larger side) closes the polygon
+
+/**
+ * Draws the regions over the input image and lets the user add polygons while a drawing mode is chosen: each tap
+ * adds a corner, a tap on the first corner or a double click closes the polygon. Include regions are tinted blue,
+ * exclude regions dark with a dashed outline.
+ * @param {HTMLCanvasElement} canvas - The canvas showing the input image.
+ * @param {ImageData} image - The input image.
+ * @param {object} editor
+ * @param {function(): object[]} editor.getRegions - Returns the current regions (see applyRegions).
+ * @param {function(): string} editor.getMode - Returns the mode of new polygons, "include" or "exclude", or "off"
+ *   to only show the regions.
+ * @param {function(object[]): void} editor.onChange - Called with the new regions after a polygon was closed or
+ *   removed.
+ * @returns {{redraw: function(): void, closePolygon: function(): void, undo: function(): void}} Redraws the canvas
+ *   after the regions were changed elsewhere, closes the polygon being drawn and removes its last corner (or the
+ *   last region if no polygon is being drawn).
+ */
+function attachRegionEditor(canvas, image, {getRegions, getMode, onChange}) {
+    let pending = []; // corners of the polygon being drawn, relative to the image size
+
+    canvas.classList.add("regionCanvas");
+    canvas.addEventListener("click", (event) => {
+        const mode = getMode();
+        if (mode === "off") {
+            return;
+        }
+        const point = relativePosition(event);
+        if (pending.length >= 3 && isNear(point, pending[0])) {
+            closePolygon();
+            return;
+        }
+        pending.push(point);
+        redraw();
+    });
+    canvas.addEventListener("dblclick", (event) => {
+        event.preventDefault();
+        pending.pop(); // the second click of the double click added a corner
+        closePolygon();
+    });
+
+    redraw();
+    return {redraw, closePolygon, undo};
+
+    /**
+     * Closes the polygon being drawn, if it has at least three corners, as a region of the current mode.
+     */
+    function closePolygon() {
+        const mode = getMode();
+        if (pending.length >= 3 && mode !== "off") {
+            onChange([...getRegions(), {mode, points: pending}]);
+        }
+        pending = [];
+        redraw();
+    }
+
+    /**
+     * Removes the last corner of the polygon being drawn, or the last region.
+     */
+    function undo() {
+        if (pending.length > 0) {
+            pending.pop();
+            redraw();
+        } else if (getRegions().length > 0) {
+            onChange(getRegions().slice(0, -1));
+        }
+    }
+
+    /**
+     * Draws the image with the regions and the polygon being drawn.
+     */
+    function redraw() {
+        const ctx = canvas.getContext("2d");
+        ctx.putImageData(image, 0, 0);
+        const lineWidth = Math.max(2, Math.round(Math.max(image.width, image.height) / 400));
+        ctx.lineWidth = lineWidth;
+
+        for (const {mode, points} of getRegions()) {
+            const style = regionStyles[mode];
+            tracePolygon(ctx, points, true);
+            ctx.fillStyle = style.fill;
+            ctx.fill();
+            ctx.setLineDash(style.dash.map(length => length * lineWidth));
+            ctx.strokeStyle = style.stroke;
+            ctx.stroke();
+        }
+
+        if (pending.length > 0) {
+            const style = regionStyles[getMode()] ?? regionStyles.include;
+            ctx.setLineDash([]);
+            ctx.strokeStyle = style.stroke;
+            tracePolygon(ctx, pending, false);
+            ctx.stroke();
+            ctx.fillStyle = style.stroke;
+            for (const [x, y] of pending) {
+                ctx.fillRect(x * image.width - lineWidth * 1.5, y * image.height - lineWidth * 1.5,
+                    lineWidth * 3, lineWidth * 3);
+            }
+        }
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number[][]} points - The corners relative to the image size.
+     * @param {boolean} closed - Whether the path returns to the first corner.
+     */
+    function tracePolygon(ctx, points, closed) {
+        ctx.beginPath();
+        points.forEach(([x, y], index) => {
+            if (index === 0) {
+                ctx.moveTo(x * image.width, y * image.height);
+            } else {
+                ctx.lineTo(x * image.width, y * image.height);
+            }
+        });
+        if (closed) {
+            ctx.closePath();
+        }
+    }
+
+    /**
+     * @param {MouseEvent} event
+     * @returns {number[]} The position of the event relative to the image size, the canvas may be scaled by CSS.
+     */
+    function relativePosition(event) {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+            Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+        ];
+    }
+
+    /**
+     * @param {number[]} a - A point relative to the image size.
+     * @param {number[]} b - Another point.
+     * @returns {boolean} True if the points are closer than closeDistance on the image.
+     */
+    function isNear(a, b) {
+        const scale = Math.max(image.width, image.height);
+        const distance = Math.hypot((a[0] - b[0]) * image.width, (a[1] - b[1]) * image.height);
+        return distance <= closeDistance * scale;
+    }
+}
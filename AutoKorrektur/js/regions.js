@@ -0,0 +1,126 @@
+export {regionModes, applyRegions, parseRegions}
+
+/**
+ * The modes of a region: "include" removes only objects inside the include regions, "exclude" never removes
+ * objects inside the region.
+ * @type {string[]}
+ */
+const regionModes = ["include", "exclude"];
+
+const regionOverlap = 0.5; // share of the instance mask from which an object counts as inside a region
+
+/**
+ * Sorts out the detections outside the include regions or inside an exclude region. A detection is inside when at
+ * least half of its instance mask (its box if it has none) lies in the regions. Needs OpenCV.js.
+ * @param {object[]} detections - The detections with box and instance mask in image coordinates (see inferYolo).
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {{mode: string, points: number[][]}[]} regions - The polygons with their mode (see regionModes) and their
+ *   corners as [x, y] relative to the image size (0 to 1), so a region fits every resolution of the same framing.
+ * @returns {[object[], object[]]} A tuple containing the detections to remove and the sorted out ones, the latter
+ *   copied with filteredBy set to "region".
+ */
+function applyRegions(detections, width, height, regions) {
+    if (regions.length === 0) {
+        return [detections, []];
+    }
+    const includes = regions.filter(({mode}) => mode === "include");
+    const includeMask = includes.length > 0 ? rasterizeRegions(includes, width, height) : null;
+    const excludeMask = rasterizeRegions(regions.filter(({mode}) => mode === "exclude"), width, height);
+
+    const kept = [];
+    const outside = [];
+    for (const detection of detections) {
+        const inInclude = includeMask === null || overlapShare(includeMask, detection) >= regionOverlap;
+        if (inInclude && overlapShare(excludeMask, detection) < regionOverlap) {
+            kept.push(detection);
+        } else {
+            outside.push({...detection, filteredBy: "region"});
+        }
+    }
+    includeMask?.delete();
+    excludeMask.delete();
+    return [kept, outside];
+}
+
+/**
+ * Reads regions saved as JSON, e.g. a template of the web application or a file passed to the CLI.
+ * @param {string} text - The JSON: a list of regions or an object with a regions list.
+ * @returns {{mode: string, points: number[][]}[]} The regions (see applyRegions).
+ */
+function parseRegions(text) {
+    const parsed = JSON.parse(text);
+    const regions = Array.isArray(parsed) ? parsed : parsed.regions;
+    if (!Array.isArray(regions)) {
+        throw new Error("Regions file has no regions list.");
+    }
+    for (const region of regions) {
+        if (!regionModes.includes(region.mode)) {
+            throw new Error("Unknown region mode " + region.mode + ", expected one of: " + regionModes.join(", "));
+        }
+        if (!Array.isArray(region.points) || region.points.length < 3
+            || !region.points.every(point => point.length === 2 && point.every(Number.isFinite))) {
+            throw new Error("A region needs at least three points [x, y]: " + JSON.stringify(region.points));
+        }
+    }
+    return regions;
+}
+
+/**
+ * Fills the polygons of regions into a mask.
+ * @param {{points: number[][]}[]} regions - The regions, see applyRegions.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {cv.Mat} The mask with CV_8UC1 data type (region pixel = 255).
+ */
+function rasterizeRegions(regions, width, height) {
+    const mask = cv.Mat.zeros(height, width, cv.CV_8UC1);
+    const polygons = new cv.MatVector();
+    for (const {points} of regions) {
+        const corners = points.flatMap(([x, y]) => [Math.round(x * width), Math.round(y * height)]);
+        const polygon = cv.matFromArray(points.length, 1, cv.CV_32SC2, corners);
+        polygons.push_back(polygon);
+        polygon.delete();
+    }
+    cv.fillPoly(mask, polygons, new cv.Scalar(255));
+    polygons.delete();
+    return mask;
+}
+
+/**
+ * @param {cv.Mat} regionMask - The mask of the regions (see rasterizeRegions).
+ * @param {object} detection - A detection with box and instance mask in image coordinates.
+ * @returns {number} The share of the instance mask (or box) pixels inside the regions, 0 if it is empty.
+ */
+function overlapShare(regionMask, detection) {
+    const [boxX, boxY, boxWidth, boxHeight] = detection.box.map(Math.round);
+    const {x, y, width, height, data} = detection.mask ?? {x: boxX, y: boxY, width: boxWidth, height: boxHeight, data: null};
+    // clip to the image
+    const x0 = Math.max(0, x);
+    const y0 = Math.max(0, y);
+    const x1 = Math.min(regionMask.cols, x + width);
+    const y1 = Math.min(regionMask.rows, y + height);
+    if (x1 <= x0 || y1 <= y0) {
+        return 0;
+    }
+    const rect = new cv.Rect(x0, y0, x1 - x0, y1 - y0);
+    const regionRoi = regionMask.roi(rect);
+    let inside;
+    let total;
+    if (data === null) {
+        inside = cv.countNonZero(regionRoi);
+        total = rect.width * rect.height;
+    } else {
+        const instanceMat = cv.matFromArray(height, width, cv.CV_8UC1, data);
+        const instanceRoi = instanceMat.roi(new cv.Rect(x0 - x, y0 - y, rect.width, rect.height));
+        const both = new cv.Mat();
+        cv.bitwise_and(regionRoi, instanceRoi, both);
+        inside = cv.countNonZero(both);
+        total = cv.countNonZero(instanceRoi);
+        both.delete();
+        instanceRoi.delete();
+        instanceMat.delete();
+    }
+    regionRoi.delete();
+    return total > 0 ? inside / total : 0;
+}
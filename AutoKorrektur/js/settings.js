@@ -0,0 +1,101 @@
+export {restoreSettings, persistSettings, readSetting, writeSetting}
+
+const storageKey = "autokorrektur-settings";
+
+/**
+ * Restores the values of option elements saved by persistSettings. Saved values that are no longer valid, e.g. a
+ * removed model, are ignored.
+ * @param {(HTMLInputElement|HTMLSelectElement)[]} elements - The option elements, identified by their id.
+ */
+function restoreSettings(elements) {
+    const saved = readSettings();
+    for (const element of elements) {
+        if (element.id in saved) {
+            applyValue(element, saved[element.id]);
+        }
+    }
+}
+
+/**
+ * Saves the values of option elements in localStorage whenever they change.
+ * @param {(HTMLInputElement|HTMLSelectElement)[]} elements - The option elements, identified by their id.
+ */
+function persistSettings(elements) {
+    for (const element of elements) {
+        element.addEventListener("change", () => writeSetting(element.id, readValue(element)));
+    }
+}
+
+/**
+ * Reads a saved setting that is not stored in an element, e.g. the per-class overrides.
+ * @param {string} key - The name of the setting.
+ * @param {*} defaultValue - Returned if the setting was never saved.
+ * @returns {*} The saved value.
+ */
+function readSetting(key, defaultValue) {
+    return readSettings()[key] ?? defaultValue;
+}
+
+/**
+ * Saves a setting in localStorage.
+ * @param {string} key - The name of the setting, element ids are used by persistSettings.
+ * @param {*} value - A JSON-serializable value.
+ */
+function writeSetting(key, value) {
+    const saved = readSettings();
+    saved[key] = value;
+    try {
+        localStorage.setItem(storageKey, JSON.stringify(saved));
+    } catch (error) {
+        console.warn("Could not save the settings:", error); // e.g. storage disabled, the app still works
+    }
+}
+
+/**
+ * @returns {Object<string, *>} The saved values by element id, empty if there are none or they are unreadable.
+ */
+function readSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (error) {
+        console.warn("Could not read the saved settings:", error);
+        return {};
+    }
+}
+
+/**
+ * @param {HTMLInputElement|HTMLSelectElement} element
+ * @returns {boolean|string|string[]} The checked state of a checkbox, the selected values of a multi-select,
+ *   else the value.
+ */
+function readValue(element) {
+    if (element.type === "checkbox") {
+        return element.checked;
+    }
+    if (element.type === "select-multiple") {
+        return Array.from(element.selectedOptions, option => option.value);
+    }
+    return element.value;
+}
+
+/**
+ * Sets a saved value if the element accepts it.
+ * @param {HTMLInputElement|HTMLSelectElement} element
+ * @param {boolean|string|string[]} value - See readValue.
+ */
+function applyValue(element, value) {
+    if (element.type === "checkbox") {
+        element.checked = value === true;
+    } else if (element.type === "select-multiple" && Array.isArray(value)) {
+        for (const option of element.options) {
+            option.selected = value.includes(option.value);
+        }
+    } else if (element.tagName === "SELECT") {
+        const option = Array.from(element.options).find(option => option.value === value);
+        if (option && !option.disabled) {
+            element.value = value;
+        }
+    } else if (typeof value === "string") {
+        element.value = value;
+    }
+}
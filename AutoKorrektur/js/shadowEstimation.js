@@ -0,0 +1,176 @@
+import {maskFromDetections} from "./maskUtils.js";
+
+export {shadowModes, estimateShadows}
+
+/**
+ * The ways the mask is extended to cover the shadows of the objects: "downshift" adds a copy of the mask shifted
+ * down by a fixed fraction of the image height, "estimate" adds the shadows found below each object by
+ * estimateShadows.
+ * @type {string[]}
+ */
+const shadowModes = ["downshift", "estimate"];
+
+const darkRatio = 0.75; // shadow pixels are darker than this share of the median brightness around the object
+const maxSaturation = 80; // and less saturated than this (0 - 255), which keeps dark paint and red kerbs out
+const sideMargin = 0.15; // the search area extends this share of the object width to both sides
+const contextMargin = 1; // the brightness of the road is taken from an area extending this share of the width
+const seedDepth = 3; // pixels below the object in which a shadow has to start
+
+/**
+ * Estimates the shadows of objects in the image: dark, low-saturation regions connected to the bottom of the
+ * instance masks. A shadow starts right below the lower half of an object and is followed at most maxExtent times
+ * the object height downwards, so neither a long shadow is cut off at a fixed distance nor road texture under an
+ * object without a shadow is masked. Needs OpenCV.js.
+ * @param {cv.Mat} image - The RGB image matrix with CV_8UC3 data type.
+ * @param {object[]} detections - The detections with instance masks in image coordinates (see inferYolo), those
+ *   without a mask are skipped.
+ * @param {number} [maxExtent=0.5] - The maximum extent of a shadow below its object, as fraction of the object height.
+ * @returns {cv.Mat} The mask of the shadows with CV_8UC1 data type (background pixel = 255, shadow pixel = 0).
+ */
+function estimateShadows(image, detections, maxExtent = 0.5) {
+    const shadowMask = new cv.Mat(image.rows, image.cols, cv.CV_8UC1, new cv.Scalar(255));
+    const objects = maskFromDetections(image.cols, image.rows, detections); // object pixel = 0
+    const hsv = new cv.Mat();
+    cv.cvtColor(image, hsv, cv.COLOR_RGB2HSV);
+
+    for (const {mask: instance} of detections) {
+        if (!instance) {
+            continue;
+        }
+        const shadow = instanceShadow(hsv, objects, instance, maxExtent);
+        if (shadow !== null) {
+            const target = shadowMask.roi(shadow.rect);
+            target.setTo(new cv.Scalar(0), shadow.mask);
+            target.delete();
+            shadow.mask.delete();
+        }
+    }
+    hsv.delete();
+    objects.delete();
+    return shadowMask;
+}
+
+/**
+ * Finds the shadow below one object.
+ * @param {cv.Mat} hsv - The image in HSV with CV_8UC3 data type.
+ * @param {cv.Mat} objects - The mask of all objects with CV_8UC1 data type (object pixel = 0).
+ * @param {{x: number, y: number, width: number, height: number, data: Uint8Array}} instance - The instance mask.
+ * @param {number} maxExtent - See estimateShadows.
+ * @returns {{rect: cv.Rect, mask: cv.Mat}|null} The searched area and the shadow in it with CV_8UC1 data type
+ *   (shadow pixel = 255), null if there is no area to search.
+ */
+function instanceShadow(hsv, objects, instance, maxExtent) {
+    const margin = Math.round(instance.width * sideMargin);
+    const x0 = Math.max(0, instance.x - margin);
+    const y0 = Math.max(0, instance.y + Math.floor(instance.height / 2));
+    const x1 = Math.min(hsv.cols, instance.x + instance.width + margin);
+    const y1 = Math.min(hsv.rows, instance.y + instance.height + Math.round(instance.height * maxExtent));
+    if (x1 <= x0 || y1 <= y0 || maxExtent <= 0) {
+        return null;
+    }
+    const rect = new cv.Rect(x0, y0, x1 - x0, y1 - y0);
+
+    // the object in the search area (object pixel = 255)
+    const own = cv.Mat.zeros(rect.height, rect.width, cv.CV_8UC1);
+    const instanceMat = cv.matFromArray(instance.height, instance.width, cv.CV_8UC1, instance.data);
+    const overlapX0 = Math.max(x0, instance.x);
+    const overlapY0 = Math.max(y0, instance.y);
+    const overlapX1 = Math.min(x1, instance.x + instance.width);
+    const overlapY1 = Math.min(y1, instance.y + instance.height);
+    if (overlapX1 > overlapX0 && overlapY1 > overlapY0) {
+        const source = instanceMat.roi(new cv.Rect(overlapX0 - instance.x, overlapY0 - instance.y,
+            overlapX1 - overlapX0, overlapY1 - overlapY0));
+        const target = own.roi(new cv.Rect(overlapX0 - x0, overlapY0 - y0, overlapX1 - overlapX0, overlapY1 - overlapY0));
+        source.copyTo(target);
+        source.delete();
+        target.delete();
+    }
+    instanceMat.delete();
+
+    const hsvRoi = hsv.roi(rect);
+    const channels = new cv.MatVector();
+    cv.split(hsvRoi, channels);
+    hsvRoi.delete();
+    const saturation = channels.get(1);
+    const value = channels.get(2);
+    channels.delete();
+    const objectsRoi = objects.roi(rect);
+    const free = objectsRoi.clone(); // neither this nor another object (free pixel = 255)
+    objectsRoi.delete();
+
+    // the shadow may fill most of the search area, so the road around it is taken as reference
+    const contextMarginX = Math.round(instance.width * contextMargin);
+    const contextX0 = Math.max(0, x0 - contextMarginX);
+    const contextX1 = Math.min(hsv.cols, x1 + contextMarginX);
+    const reference = medianValue(hsv, objects, new cv.Rect(contextX0, y0, contextX1 - contextX0, y1 - y0));
+    if (reference === null) {
+        [own, saturation, value, free].forEach(mat => mat.delete());
+        return null;
+    }
+    const candidates = new cv.Mat();
+    cv.threshold(value, candidates, darkRatio * reference, 255, cv.THRESH_BINARY_INV);
+    cv.threshold(saturation, saturation, maxSaturation, 255, cv.THRESH_BINARY_INV);
+    cv.bitwise_and(candidates, saturation, candidates);
+    cv.bitwise_and(candidates, free, candidates);
+
+    // seeds: candidate pixels right below the object, the kernel only reaches upwards so the object grows downwards
+    const seeds = new cv.Mat();
+    const kernel = cv.Mat.ones(seedDepth + 1, 1, cv.CV_8UC1);
+    cv.dilate(own, seeds, kernel, new cv.Point(0, seedDepth));
+    kernel.delete();
+    cv.bitwise_and(seeds, candidates, seeds);
+
+    const labels = new cv.Mat();
+    cv.connectedComponents(candidates, labels, 8, cv.CV_32S);
+    const connected = new Set();
+    for (let i = 0; i < seeds.data.length; i++) {
+        if (seeds.data[i] !== 0) {
+            connected.add(labels.data32S[i]);
+        }
+    }
+    const shadow = cv.Mat.zeros(rect.height, rect.width, cv.CV_8UC1);
+    if (connected.size > 0) {
+        for (let i = 0; i < shadow.data.length; i++) {
+            if (candidates.data[i] !== 0 && connected.has(labels.data32S[i])) {
+                shadow.data[i] = 255;
+            }
+        }
+        // close the gaps left by lighter spots, e.g. road markings in the shadow
+        const closeKernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
+        cv.morphologyEx(shadow, shadow, cv.MORPH_CLOSE, closeKernel);
+        closeKernel.delete();
+    }
+    [own, saturation, value, free, candidates, seeds, labels].forEach(mat => mat.delete());
+    return {rect, mask: shadow};
+}
+
+/**
+ * @param {cv.Mat} hsv - The image in HSV with CV_8UC3 data type.
+ * @param {cv.Mat} objects - The mask of all objects with CV_8UC1 data type (object pixel = 0), which are skipped.
+ * @param {cv.Rect} rect - The area to consider.
+ * @returns {number|null} The median brightness of the pixels in the area, null if there are none.
+ */
+function medianValue(hsv, objects, rect) {
+    const histogram = new Array(256).fill(0);
+    let count = 0;
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            const index = y * hsv.cols + x;
+            if (objects.data[index] !== 0) {
+                histogram[hsv.data[index * 3 + 2]]++;
+                count++;
+            }
+        }
+    }
+    if (count === 0) {
+        return null;
+    }
+    let seen = 0;
+    for (let level = 0; level < 256; level++) {
+        seen += histogram[level];
+        if (seen * 2 >= count) {
+            return level;
+        }
+    }
+    return 255;
+}
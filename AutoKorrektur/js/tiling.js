@@ -0,0 +1,200 @@
+export {tileRects, offsetDetection, mergeDetections, coverage, unionBox, unionMask}
+
+const tileMergeThreshold = 0.5; // default share of the smaller object covered by the other one to merge them
+const maskAreas = new WeakMap(); // data of an instance mask -> its object pixels, masks are not changed once built
+
+/**
+ * Splits an image into overlapping tiles of the model input size, so objects are detected at full resolution.
+ * The tiles are spread evenly and the last ones end at the right and bottom border.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {number} tileWidth - The width of a tile, i.e. the model input width.
+ * @param {number} tileHeight - The height of a tile, i.e. the model input height.
+ * @param {number} [overlap=0.2] - The minimum overlap of neighbouring tiles as fraction of the tile size.
+ * @returns {{x: number, y: number, width: number, height: number}[]} The tiles, row by row. Tiles are smaller than
+ *   the tile size in dimensions where the image is smaller.
+ */
+function tileRects(width, height, tileWidth, tileHeight, overlap = 0.2) {
+    const xs = tileStarts(width, tileWidth, overlap);
+    const ys = tileStarts(height, tileHeight, overlap);
+    return ys.flatMap(y => xs.map(x => ({
+        x,
+        y,
+        width: Math.min(tileWidth, width),
+        height: Math.min(tileHeight, height)
+    })));
+}
+
+/**
+ * @param {number} length - The length of the image in one dimension.
+ * @param {number} tileLength - The length of a tile.
+ * @param {number} overlap - The minimum overlap as fraction of the tile length.
+ * @returns {number[]} The start coordinates of the tiles.
+ */
+function tileStarts(length, tileLength, overlap) {
+    if (length <= tileLength) {
+        return [0];
+    }
+    const stride = Math.max(1, Math.floor(tileLength * (1 - overlap)));
+    const count = Math.ceil((length - tileLength) / stride) + 1;
+    return Array.from({length: count}, (_, i) => Math.round(i * (length - tileLength) / (count - 1)));
+}
+
+/**
+ * Moves a detection of a tile into the coordinates of the whole image.
+ * @param {object} detection - The detection in tile coordinates (see inferYolo).
+ * @param {number} x - The left of the tile in the image.
+ * @param {number} y - The top of the tile in the image.
+ * @returns {object} A new detection in image coordinates, sharing the mask data.
+ */
+function offsetDetection(detection, x, y) {
+    const [boxX, boxY, boxWidth, boxHeight] = detection.box;
+    return {
+        ...detection,
+        box: [boxX + x, boxY + y, boxWidth, boxHeight],
+        mask: detection.mask && {...detection.mask, x: detection.mask.x + x, y: detection.mask.y + y}
+    };
+}
+
+/**
+ * Merges the detections of several views (tiles and the global view) of an image. Detections of the same class
+ * are merged if one covers most of the other, which also joins the parts of an object cut by tile borders: their
+ * boxes and instance masks are united, the highest score is kept.
+ * @param {object[]} detections - The detections in image coordinates (see inferYolo).
+ * @param {number} [threshold=0.5] - The share of the smaller detection the other one has to cover, measured on the
+ *   instance masks if both have one, else on the boxes.
+ * @returns {object[]} The merged detections, highest score first.
+ */
+function mergeDetections(detections, threshold = tileMergeThreshold) {
+    const merged = [];
+    for (const detection of [...detections].sort((a, b) => b.score - a.score)) {
+        const matches = merged.filter(kept => kept.label === detection.label && coverage(kept, detection) > threshold);
+        if (matches.length === 0) {
+            merged.push({...detection});
+            continue;
+        }
+        // the detection may join objects kept separately so far, e.g. the parts of an object spanning several tiles
+        const [target, ...others] = matches;
+        for (const other of [detection, ...others]) {
+            target.box = unionBox(target.box, other.box);
+            target.mask = unionMask(target.mask, other.mask);
+        }
+        for (const other of others) {
+            merged.splice(merged.indexOf(other), 1);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Needs OpenCV.js for detections with instance masks; only the window in which their boxes overlap is compared.
+ * @param {object} a - A detection.
+ * @param {object} b - Another detection.
+ * @returns {number} The share of the smaller detection covered by the other one, between 0 and 1.
+ */
+function coverage(a, b) {
+    const [ax, ay, aw, ah] = a.box;
+    const [bx, by, bw, bh] = b.box;
+    const boxIntersection = Math.max(0, Math.min(ax + aw, bx + bw) - Math.max(ax, bx))
+        * Math.max(0, Math.min(ay + ah, by + bh) - Math.max(ay, by));
+    if (boxIntersection === 0) {
+        return 0;
+    }
+    if (!a.mask || !b.mask) {
+        return boxIntersection / Math.max(1, Math.min(aw * ah, bw * bh));
+    }
+    const smallerArea = Math.min(maskArea(a.mask), maskArea(b.mask));
+    return smallerArea === 0 ? 0 : maskIntersection(a.mask, b.mask) / smallerArea;
+}
+
+/**
+ * @param {{width: number, height: number, data: Uint8Array}} mask - An instance mask.
+ * @returns {number} The number of object pixels, counted once per mask.
+ */
+function maskArea(mask) {
+    if (!maskAreas.has(mask.data)) {
+        const maskMat = cv.matFromArray(mask.height, mask.width, cv.CV_8UC1, mask.data);
+        maskAreas.set(mask.data, cv.countNonZero(maskMat));
+        maskMat.delete();
+    }
+    return maskAreas.get(mask.data);
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number, data: Uint8Array}} a - An instance mask.
+ * @param {{x: number, y: number, width: number, height: number, data: Uint8Array}} b - Another instance mask.
+ * @returns {number} The number of pixels that are object pixels in both masks.
+ */
+function maskIntersection(a, b) {
+    const x0 = Math.max(a.x, b.x);
+    const y0 = Math.max(a.y, b.y);
+    const x1 = Math.min(a.x + a.width, b.x + b.width);
+    const y1 = Math.min(a.y + a.height, b.y + b.height);
+    if (x1 <= x0 || y1 <= y0) {
+        return 0;
+    }
+    const aWindow = maskWindow(a, x0, y0, x1 - x0, y1 - y0);
+    const bWindow = maskWindow(b, x0, y0, x1 - x0, y1 - y0);
+    cv.bitwise_and(aWindow, bWindow, aWindow);
+    const intersection = cv.countNonZero(aWindow);
+    aWindow.delete();
+    bWindow.delete();
+    return intersection;
+}
+
+/**
+ * Copies a window of an instance mask into a matrix, without copying the rest of the mask.
+ * @param {{x: number, y: number, width: number, height: number, data: Uint8Array}} mask - An instance mask.
+ * @param {number} x - The left of the window in image coordinates, inside the mask.
+ * @param {number} y - The top of the window.
+ * @param {number} width - The width of the window.
+ * @param {number} height - The height of the window.
+ * @returns {cv.Mat} The window with CV_8UC1 data type.
+ */
+function maskWindow(mask, x, y, width, height) {
+    const window = new cv.Mat(height, width, cv.CV_8UC1);
+    for (let row = 0; row < height; row++) {
+        const start = (y - mask.y + row) * mask.width + (x - mask.x);
+        window.data.set(mask.data.subarray(start, start + width), row * width);
+    }
+    return window;
+}
+
+/**
+ * @param {number[]} a - A box [x, y, width, height].
+ * @param {number[]} b - Another box.
+ * @returns {number[]} The smallest box containing both.
+ */
+function unionBox(a, b) {
+    const x = Math.min(a[0], b[0]);
+    const y = Math.min(a[1], b[1]);
+    return [x, y, Math.max(a[0] + a[2], b[0] + b[2]) - x, Math.max(a[1] + a[3], b[1] + b[3]) - y];
+}
+
+/**
+ * Stitches two instance masks.
+ * @param {object|null} a - An instance mask {x, y, width, height, data} or null.
+ * @param {object|null} b - Another instance mask or null.
+ * @returns {object|null} A new mask covering the object pixels of both, null if both are null.
+ */
+function unionMask(a, b) {
+    if (!a || !b) {
+        return a ?? b;
+    }
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    const width = Math.max(a.x + a.width, b.x + b.width) - x;
+    const height = Math.max(a.y + a.height, b.y + b.height) - y;
+    const data = new Uint8Array(width * height);
+    for (const mask of [a, b]) {
+        for (let row = 0; row < mask.height; row++) {
+            const offset = (mask.y - y + row) * width + (mask.x - x);
+            for (let column = 0; column < mask.width; column++) {
+                if (mask.data[row * mask.width + column] !== 0) {
+                    data[offset + column] = 255;
+                }
+            }
+        }
+    }
+    return {x, y, width, height, data};
+}
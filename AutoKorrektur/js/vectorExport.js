@@ -0,0 +1,170 @@
+import {escapeXml} from "./annotationExport.js";
+
+export {vectorizeResult, vectorSvg, vectorGeoJson}
+
+const vectorTolerance = 1.0; // default max distance in pixels of the simplified outlines from the mask contours
+
+/**
+ * Traces the removed areas as polygons, for the final mask and for every detection with an instance mask.
+ * Needs OpenCV.js.
+ * @param {cv.Mat} mask - The final mask with CV_8UC1 data type (background pixel = 255, object pixel = 0).
+ * @param {object[]} detections - The removed detections (see inferYolo).
+ * @param {number} [tolerance=1.0] - Max distance in pixels of the simplified outlines from the contours.
+ * @returns {{width: number, height: number, mask: number[][][][], instances: object[]}} The size of the image and
+ *   the polygons of the mask and of the instances ({label, labelName, score, polygons}). A polygon is a list of
+ *   rings of [x, y] points in pixels, the outline followed by its holes.
+ */
+function vectorizeResult(mask, detections, tolerance = vectorTolerance) {
+    const objects = new cv.Mat();
+    cv.threshold(mask, objects, 127, 255, cv.THRESH_BINARY_INV);
+    const maskPolygons = traceContours(objects, 0, 0, tolerance);
+    objects.delete();
+
+    const instances = detections.filter(({mask}) => mask).map(({label, labelName, score, mask}) => {
+        const instanceMat = cv.matFromArray(mask.height, mask.width, cv.CV_8UC1, mask.data);
+        const polygons = traceContours(instanceMat, mask.x, mask.y, tolerance);
+        instanceMat.delete();
+        return {label, labelName, score, polygons};
+    });
+    return {width: mask.cols, height: mask.rows, mask: maskPolygons, instances};
+}
+
+/**
+ * Builds an SVG of the removed areas over the original image, with a layer for the final mask and one for the
+ * instances, e.g. to overlay them in Illustrator or Inkscape.
+ * @param {object} vectors - See vectorizeResult.
+ * @param {string|null} [imageHref=null] - URL of the original image (a file name or a data URL), null for none.
+ * @returns {string} The SVG content.
+ */
+function vectorSvg({width, height, mask, instances}, imageHref = null) {
+    const image = imageHref === null ? ""
+        : `    <image id="original" href="${escapeXml(imageHref)}" x="0" y="0" width="${width}" height="${height}"/>\n`;
+    const maskPaths = mask.map(polygon => `        <path d="${svgPath(polygon)}"/>\n`).join("");
+    const instancePaths = instances.map(({label, labelName, score, polygons}) =>
+        `        <path class="instance" data-label="${escapeXml(labelName)}" data-class-id="${label}" `
+        + `data-score="${score.toFixed(3)}" d="${polygons.map(svgPath).join(" ")}">`
+        + `<title>${escapeXml(labelName)} ${score.toFixed(2)}</title></path>\n`
+    ).join("");
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+${image}    <g id="mask" fill="rgb(255, 0, 0)" fill-opacity="0.5" fill-rule="evenodd">
+${maskPaths}    </g>
+    <g id="instances" fill="none" stroke="rgb(255, 255, 255)" stroke-width="${Math.max(1, Math.round(Math.max(width, height) / 500))}" fill-rule="evenodd">
+${instancePaths}    </g>
+</svg>
+`;
+}
+
+/**
+ * Builds a GeoJSON feature collection of the removed areas in pixel space. The y axis is negated, so the image
+ * appears upright in GIS tools like QGIS, which place images without georeference at x = column, y = -row.
+ * Instances are features with their label and score, the final mask (including the downshift) is added as
+ * features with kind "mask".
+ * @param {object} vectors - See vectorizeResult.
+ * @returns {string} The GeoJSON content.
+ */
+function vectorGeoJson({width, height, mask, instances}) {
+    const features = [
+        ...instances.filter(({polygons}) => polygons.length > 0).map(({label, labelName, score, polygons}) =>
+            geoJsonFeature(polygons, {kind: "instance", label: labelName, classId: label, score})),
+        ...mask.map(polygon => geoJsonFeature([polygon], {kind: "mask", label: null, classId: null, score: null}))
+    ];
+    return JSON.stringify({
+        type: "FeatureCollection",
+        properties: {width, height, crs: "pixel coordinates, y negated"},
+        features
+    });
+}
+
+/**
+ * Traces the outlines and holes of the object pixels of a matrix.
+ * @param {cv.Mat} mat - The matrix with CV_8UC1 data type (object pixel != 0).
+ * @param {number} offsetX - Added to the x coordinates, e.g. the left of an instance mask.
+ * @param {number} offsetY - Added to the y coordinates.
+ * @param {number} tolerance - Max distance in pixels of the simplified outlines from the contours.
+ * @returns {number[][][][]} The polygons as lists of rings of [x, y] points, outline first.
+ */
+function traceContours(mat, offsetX, offsetY, tolerance) {
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    // RETR_CCOMP: outlines on the top level, each with its holes as children
+    cv.findContours(mat, contours, hierarchy, cv.RETR_CCOMP, cv.CHAIN_APPROX_SIMPLE);
+
+    const rings = [];
+    for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        const approx = new cv.Mat();
+        cv.approxPolyDP(contour, approx, tolerance, true);
+        const ring = [];
+        for (let j = 0; j < approx.rows; j++) {
+            ring.push([approx.data32S[j * 2] + offsetX, approx.data32S[j * 2 + 1] + offsetY]);
+        }
+        rings.push(ring.length >= 3 ? ring : null); // lines and points enclose no area
+        approx.delete();
+        contour.delete();
+    }
+
+    const polygons = [];
+    for (let i = 0; i < rings.length; i++) {
+        const parent = hierarchy.data32S[i * 4 + 3];
+        if (parent !== -1 || rings[i] === null) {
+            continue;
+        }
+        const polygon = [rings[i]];
+        for (let child = hierarchy.data32S[i * 4 + 2]; child !== -1; child = hierarchy.data32S[child * 4]) {
+            if (rings[child] !== null) {
+                polygon.push(rings[child]);
+            }
+        }
+        polygons.push(polygon);
+    }
+    contours.delete();
+    hierarchy.delete();
+    return polygons;
+}
+
+/**
+ * @param {number[][][]} polygon - The rings of a polygon.
+ * @returns {string} The SVG path data, a closed subpath per ring.
+ */
+function svgPath(polygon) {
+    return polygon.map(ring => "M" + ring.map(([x, y]) => x + " " + y).join(" L") + " Z").join(" ");
+}
+
+/**
+ * Creates a GeoJSON feature. Rings are closed and oriented as RFC 7946 demands: outlines counterclockwise,
+ * holes clockwise, after negating y.
+ * @param {number[][][][]} polygons - The polygons in pixel coordinates.
+ * @param {object} properties - The properties of the feature.
+ * @returns {object} A Polygon or MultiPolygon feature.
+ */
+function geoJsonFeature(polygons, properties) {
+    const coordinates = polygons.map(polygon => polygon.map((ring, index) => {
+        const points = ring.map(([x, y]) => [x, -y]);
+        if ((signedArea(points) > 0) !== (index === 0)) {
+            points.reverse();
+        }
+        return [...points, points[0]];
+    }));
+    return {
+        type: "Feature",
+        geometry: coordinates.length === 1
+            ? {type: "Polygon", coordinates: coordinates[0]}
+            : {type: "MultiPolygon", coordinates},
+        properties
+    };
+}
+
+/**
+ * @param {number[][]} ring - The points of a ring.
+ * @returns {number} Twice the signed area, positive for counterclockwise rings (y up).
+ */
+function signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area;
+}
@@ -1,92 +1,11 @@
-export {inferYolo}
-
-const labels = [
-    "person",
-    "bicycle",
-    "car",
-    "motorcycle",
-    "airplane",
-    "bus",
-    "train",
-    "truck",
-    "boat",
-    "traffic light",
-    "fire hydrant",
-    "stop sign",
-    "parking meter",
-    "bench",
-    "bird",
-    "cat",
-    "dog",
-    "horse",
-    "sheep",
-    "cow",
-    "elephant",
-    "bear",
-    "zebra",
-    "giraffe",
-    "backpack",
-    "umbrella",
-    "handbag",
-    "tie",
-    "suitcase",
-    "frisbee",
-    "skis",
-    "snowboard",
-    "sports ball",
-    "kite",
-    "baseball bat",
-    "baseball glove",
-    "skateboard",
-    "surfboard",
-    "tennis racket",
-    "bottle",
-    "wine glass",
-    "cup",
-    "fork",
-    "knife",
-    "spoon",
-    "bowl",
-    "banana",
-    "apple",
-    "sandwich",
-    "orange",
-    "broccoli",
-    "carrot",
-    "hot dog",
-    "pizza",
-    "donut",
-    "cake",
-    "chair",
-    "couch",
-    "potted plant",
-    "bed",
-    "dining table",
-    "toilet",
-    "tv",
-    "laptop",
-    "mouse",
-    "remote",
-    "keyboard",
-    "cell phone",
-    "microwave",
-    "oven",
-    "toaster",
-    "sink",
-    "refrigerator",
-    "book",
-    "clock",
-    "vase",
-    "scissors",
-    "teddy bear",
-    "hair drier",
-    "toothbrush",
-];
-
-const topAmountPerClass = 100; // top amount of Instances per class
-const intersectionOverUnionThreshold = 0.9; // iou threshold
+import {assembleMask, nonMaxSuppression} from "./postprocessing.js";
+import {getOutputDecoder} from "./outputDecoders.js";
+
+export {inferYolo, comparePostprocessing, comparePostprocessingOutput}
+
+const topAmountPerClass = 100; // default top amount of Instances per class
+const intersectionOverUnionThreshold = 0.9; // default iou threshold
 const baseScoreThreshold = 0.2; // score threshold
-const numClass = labels.length;
 
 /**
  * Performs YOLO inference for object detection and segmentation.
@@ -96,129 +15,364 @@ const numClass = labels.length;
  * @param {object} session - The object containing the inference sessions for YOLO, NMS, and Mask.
  * @param {number} modelWidth - The width of the model for which the image was prepared.
  * @param {number} modelHeight - The height of the model for which the image was prepared.
- * @param {number} [upscaleFactor=1.0] - Factor by which the segmentation mask is upscaled.
- * @param {number} [scoreThreshold=0.2] - Confidence threshold for detections.
- * @param {number[]} [searchinglabels=[2,3,7]] - An array of label indices to search for.
- * @returns {Promise<cv.Mat>} A Promise that resolves to an image matrix with CV_8UC1 data type, representing the resulting mask.
+ * @param {object} [options]
+ * @param {number} [options.upscaleFactor=1.0] - Factor by which the segmentation mask is upscaled.
+ * @param {number} [options.scoreThreshold=0.2] - Confidence threshold for detections.
+ * @param {number} [options.iouThreshold=0.9] - Boxes of a class overlapping more than this are merged by the NMS.
+ * @param {number} [options.maxInstances=100] - The maximum number of instances per class.
+ * @param {number[]} [options.searchinglabels=[2,3,7]] - An array of label indices to search for.
+ * @param {string[]} [options.classNames=[]] - The class names of the model, indexed by label, for the labelName of
+ *   the detections. The number of classes is taken from the model output.
+ * @param {Object<number, {scoreThreshold?: number, upscaleFactor?: number}>} [options.classOverrides={}]
+ *   Score threshold and mask upscale factor per label index, replacing the global values for that label.
+ * @param {string} [options.postprocessing="onnx"] - The implementation of NMS and mask assembly (see
+ *   postprocessingModes).
+ * @param {string} [options.decoder="yolov8"] - The layout of the model output (see outputDecoders). End-to-end
+ *   models need no NMS, so iouThreshold does not apply to them.
+ * @param {AbortSignal|null} [options.signal=null] - Cancels the inference between the per-detection mask runs.
+ * @param {{width: number, height: number}|null} [options.originalSize=null] - The size of the original image, which
+ *   boxes and instance masks of the detections are scaled to. Without it, they are in the size of the resulting mask.
+ * @returns {Promise<[cv.Mat, object[]]>} A Promise that resolves to an array containing:
+ *   - an image matrix with CV_8UC1 data type and the model size, representing the merged mask of all instances,
+ *   - the masked detections as {label, labelName, score, box, mask}: box is [x, y, width, height] of the detected
+ *     object, mask is the (upscaled) instance mask cropped to its bounding rect as {x, y, width, height, data} with
+ *     data holding 255 for object pixels and 0 else, row by row. mask is null if the instance mask is empty.
  */
-async function inferYolo(transImageMat, xRatio, yRatio, session, modelWidth, modelHeight, upscaleFactor = 1.0, scoreThreshold = baseScoreThreshold, searchinglabels = [2, 3, 7]) {
-    const imageTensor = new ort.Tensor("float32", transImageMat.data32F, [1, 3, 640, 640]); // to ort.Tensor
+async function inferYolo(transImageMat, xRatio, yRatio, session, modelWidth, modelHeight, {
+    upscaleFactor = 1.0,
+    scoreThreshold = baseScoreThreshold,
+    iouThreshold = intersectionOverUnionThreshold,
+    maxInstances = topAmountPerClass,
+    searchinglabels = [2, 3, 7],
+    classNames = [],
+    classOverrides = {},
+    postprocessing = "onnx",
+    decoder = "yolov8",
+    signal = null,
+    originalSize = null
+} = {}) {
     const maxSize = Math.max(modelWidth, modelHeight);
+    const scaleX = originalSize ? originalSize.width / modelWidth : 1; // from the resulting mask to the original image
+    const scaleY = originalSize ? originalSize.height / modelHeight : 1;
+    const scoreThresholdOf = (label) => classOverrides[label]?.scoreThreshold ?? scoreThreshold;
+    const upscaleFactorOf = (label) => classOverrides[label]?.upscaleFactor ?? upscaleFactor;
+    // the NMS filters by the lowest threshold, higher ones are applied per label below
+    const nmsScoreThreshold = Math.min(scoreThreshold, ...searchinglabels.map(scoreThresholdOf));
 
     /*
-    run YOLO Model and get output Arrays.
+    run YOLO Model and get output Arrays, e.g. for a COCO model with 640x640 input:
     out0: segmentation Data [1,116,8400] (8400 possible detections with 116 values [4: boundingBoxes, 80: classProb, 32: maskCoefficients]),
     out1: mask Prototypes [1,32,160,160] (32 Prototypes with 160x160 size)
     */
-    const {output0, output1} = await session.yolo.run({images: imageTensor});
+    const {output0, output1} = await runYolo(transImageMat, session, modelWidth, modelHeight);
+
+    // decode the output and, if the model needs it, perform nms: candidates with class, score, box and mask coefficients
+    const candidates = await getOutputDecoder(decoder).decode(output0, output1, {
+        scoreThreshold: nmsScoreThreshold,
+        maxInstances,
+        inputSize: [modelWidth, modelHeight],
+        suppress: (detections, numClass) => selectDetections(detections, session, postprocessing,
+            {numClass, maxInstances, iouThreshold, scoreThreshold: nmsScoreThreshold})
+    });
+
+    // create image Mat in greyscale to overlay masks
+    const overlay_gray = cv.Mat.ones(modelHeight, modelWidth, cv.CV_8UC1);
+    overlay_gray.setTo(new cv.Scalar(255)); // set know values to white
+    const detections = [];
+
+    // looping over detected objects
+    try {
+        for (const {label, score, box: centerBox, coefficients} of candidates) {
+            signal?.throwIfAborted();
+
+            // if detected Object is not in searching labels or below the threshold of its label skip it
+            if (!searchinglabels.includes(label) || score < scoreThresholdOf(label)) { continue }
+            const [box, [x, y, w, h], rect] = placeDetection(centerBox, xRatio, yRatio, maxSize,
+                upscaleFactorOf(label));
+            const mask_mat = await instanceMask(session, postprocessing, box, coefficients, output1, maxSize, rect);
+            try {
+                // substarct mask from overlay so masked area will be black
+                cv.subtract(overlay_gray, mask_mat, overlay_gray);
+
+                detections.push({
+                    label,
+                    labelName: classNames[label] ?? String(label),
+                    score,
+                    box: [x * scaleX, y * scaleY, w * scaleX, h * scaleY].map(Math.round),
+                    mask: cropInstanceMask(mask_mat, scaleX, scaleY)
+                });
+            } finally {
+                mask_mat.delete();
+            }
+        }
+    } catch (e) {
+        overlay_gray.delete();
+        throw e;
+    }
+    return [overlay_gray, detections];
+
+}
+
+/**
+ * Runs the segmentation and post-processes its output with both the ONNX helper graphs and the JavaScript
+ * implementation (see postprocessing.js), to check that they are equal. The class-agnostic "js" mode is compared,
+ * as the NMS helper graph does not separate classes. All classes count, the masks are compared for every detection
+ * the helper graph selects. Only for models with the "yolov8" output layout, which is the one the NMS runs on.
+ * @param {cv.Mat} transImageMat - See inferYolo.
+ * @param {number} xRatio - See inferYolo.
+ * @param {number} yRatio - See inferYolo.
+ * @param {object} session - See inferYolo.
+ * @param {number} modelWidth - See inferYolo.
+ * @param {number} modelHeight - See inferYolo.
+ * @param {object} [options]
+ * @param {number} [options.upscaleFactor=1.0] - See inferYolo.
+ * @param {number} [options.scoreThreshold=0.2] - See inferYolo.
+ * @param {number} [options.iouThreshold=0.9] - See inferYolo.
+ * @param {number} [options.maxInstances=100] - See inferYolo.
+ * @returns {Promise<{selected: number, selectionDifferences: number, maskPixels: number, maskDifferences: number}>}
+ *   The number of detections selected by the helper graph, the number of rows in which the JavaScript selection
+ *   differs (rows missing on one side included), the object pixels of all helper graph masks and the number of
+ *   pixels in which the JavaScript masks differ.
+ */
+async function comparePostprocessing(transImageMat, xRatio, yRatio, session, modelWidth, modelHeight, options = {}) {
+    const {output0, output1} = await runYolo(transImageMat, session, modelWidth, modelHeight);
+    return await comparePostprocessingOutput(output0, output1, xRatio, yRatio, session, Math.max(modelWidth, modelHeight),
+        options);
+}
+
+/**
+ * Post-processes a segmentation output with both the ONNX helper graphs and the JavaScript implementation, see
+ * comparePostprocessing. Used by it and by the check with a recorded output in test/.
+ * @param {ort.Tensor} output0 - The detections [1, 4 + classes + 32, candidates].
+ * @param {ort.Tensor} output1 - The mask prototypes [1, 32, height, width].
+ * @param {number} xRatio - See inferYolo.
+ * @param {number} yRatio - See inferYolo.
+ * @param {object} session - The inference sessions, only nms and mask are used.
+ * @param {number} maxSize - The larger side of the model input.
+ * @param {object} [options] - See comparePostprocessing.
+ * @returns {Promise<{selected: number, selectionDifferences: number, maskPixels: number, maskDifferences: number}>}
+ *   See comparePostprocessing.
+ */
+async function comparePostprocessingOutput(output0, output1, xRatio, yRatio, session, maxSize, {
+    upscaleFactor = 1.0,
+    scoreThreshold = baseScoreThreshold,
+    iouThreshold = intersectionOverUnionThreshold,
+    maxInstances = topAmountPerClass
+} = {}) {
+    const numClass = classCount(output0, output1);
+    const nmsOptions = {numClass, maxInstances, iouThreshold, scoreThreshold};
+    const onnxSelected = await selectDetections(output0, session, "onnx", nmsOptions);
+    const jsSelected = await selectDetections(output0, session, "js", nmsOptions);
+
+    const rowLength = onnxSelected.dims[2];
+    const rowCount = Math.max(onnxSelected.dims[1], jsSelected.dims[1]);
+    let selectionDifferences = 0;
+    for (let row = 0; row < rowCount; row++) {
+        const offset = row * rowLength;
+        if (row >= onnxSelected.dims[1] || row >= jsSelected.dims[1]
+            || onnxSelected.data.subarray(offset, offset + rowLength).some((value, i) => value !== jsSelected.data[offset + i])) {
+            selectionDifferences++;
+        }
+    }
+
+    let maskPixels = 0;
+    let maskDifferences = 0;
+    for (let row = 0; row < onnxSelected.dims[1]; row++) {
+        const data = onnxSelected.data.slice(row * rowLength, (row + 1) * rowLength);
+        const [box, , rect] = placeDetection(data.slice(0, 4), xRatio, yRatio, maxSize, upscaleFactor);
+        const coefficients = data.slice(4 + numClass);
+        const onnxMask = await instanceMask(session, "onnx", box, coefficients, output1, maxSize, rect);
+        const jsMask = await instanceMask(session, "js", box, coefficients, output1, maxSize, rect);
+        maskPixels += cv.countNonZero(onnxMask);
+        cv.bitwise_xor(onnxMask, jsMask, jsMask);
+        maskDifferences += cv.countNonZero(jsMask);
+        onnxMask.delete();
+        jsMask.delete();
+    }
+    return {selected: onnxSelected.dims[1], selectionDifferences, maskPixels, maskDifferences};
+}
+
+/**
+ * Runs the segmentation model.
+ * @param {cv.Mat} transImageMat - The model input, see inferYolo.
+ * @param {object} session - The inference sessions.
+ * @param {number} modelWidth - The input width of the model.
+ * @param {number} modelHeight - The input height of the model.
+ * @returns {Promise<{output0: ort.Tensor, output1: ort.Tensor}>} The detections (e.g. [1, 4 + classes + 32,
+ *   candidates], see outputDecoders) and the mask prototypes [1, 32, modelHeight / 4, modelWidth / 4]. They are
+ *   told apart by their rank, as not every export names them output0 and output1.
+ */
+async function runYolo(transImageMat, session, modelWidth, modelHeight) {
+    const imageTensor = new ort.Tensor("float32", transImageMat.data32F, [1, 3, modelHeight, modelWidth]); // to ort.Tensor
+    const outputs = Object.values(await session.yolo.run({[session.yolo.inputNames[0]]: imageTensor}));
+    return {
+        output0: outputs.find(output => output.dims.length !== 4),
+        output1: outputs.find(output => output.dims.length === 4)
+    };
+}
 
+/**
+ * @param {ort.Tensor} output0 - The detections of the segmentation model.
+ * @param {ort.Tensor} output1 - The mask prototypes.
+ * @returns {number} The number of classes of the model: the values per candidate without box and mask coefficients.
+ */
+function classCount(output0, output1) {
+    return output0.dims[1] - 4 - output1.dims[1];
+}
+
+/**
+ * Selects the detections of the segmentation output by non-maximum suppression.
+ * @param {ort.Tensor} output0 - The detections of the segmentation model.
+ * @param {object} session - The inference sessions.
+ * @param {string} postprocessing - See postprocessingModes.
+ * @param {{numClass: number, maxInstances: number, iouThreshold: number, scoreThreshold: number}} options - The
+ *   number of classes and the NMS parameters.
+ * @returns {Promise<{data: Float32Array, dims: number[]}>} The selected detections [1, selected, 4 + classes + 32].
+ */
+async function selectDetections(output0, session, postprocessing, {numClass, maxInstances, iouThreshold, scoreThreshold}) {
+    if (postprocessing !== "onnx") {
+        return nonMaxSuppression(output0, {
+            numClasses: numClass, maxInstances, iouThreshold, scoreThreshold,
+            classAware: postprocessing === "js-class-aware"
+        });
+    }
     const nmsConfigTensor = new ort.Tensor(
         "float32",
         new Float32Array([
-            80, // num class
-            topAmountPerClass, // top amount of Instances per class
-            intersectionOverUnionThreshold, // iou threshold
+            numClass, // num class
+            maxInstances, // top amount of Instances per class
+            iouThreshold, // iou threshold
             scoreThreshold, // score threshold
         ])
     ); // nms config tensor
+    const {selected} = await session.nms.run({detection: output0, config: nmsConfigTensor});
+    return selected;
+}
 
-    // perform nms and filter boxes : dims [1,topAmPC,116] (116 = 4 (box) + 80 (classes) + 32 (mask coefficients))
-    const {selected} = await session.nms.run(
-        {detection: output0, config: nmsConfigTensor});
+/**
+ * Computes where a selected detection lies in the model input and in the resulting mask.
+ * @param {number[]|Float32Array} data - The box of the detection as [center x, center y, width, height] in the model
+ *   input.
+ * @param {number} xRatio - See inferYolo.
+ * @param {number} yRatio - See inferYolo.
+ * @param {number} maxSize - The larger side of the model input.
+ * @param {number} upscaleFactor - The mask upscale factor of the label of the detection.
+ * @returns {[number[], number[], number[]]} The box [x, y, width, height] in the model input, the box in the
+ *   resulting mask and the upscaled rect the instance mask is drawn into.
+ */
+function placeDetection(data, xRatio, yRatio, maxSize, upscaleFactor) {
+    const box = overflowBoxes(
+        [
+            data[0] - 0.5 * data[2], // before upscale x
+            data[1] - 0.5 * data[3], // before upscale y
+            data[2], // before upscale w
+            data[3], // before upscale h
+        ],
+        maxSize
+    ); // keep boxes in maxSize range
 
-    // create image Mat in greyscale to overlay masks
-    const overlay_gray = cv.Mat.ones(modelHeight, modelWidth, cv.CV_8UC1);
-    overlay_gray.setTo(new cv.Scalar(255)); // set know values to white
+    const [x, y, w, h] = overflowBoxes(
+        [
+            Math.floor(box[0] * xRatio), // upscale left
+            Math.floor(box[1] * yRatio), // upscale top
+            Math.floor(box[2] * xRatio), // upscale width
+            Math.floor(box[3] * yRatio), // upscale height
+        ],
+        maxSize
+    ); // upscale boxes
 
+    // Reposition the mask to fit with upscale
+    const rect = [
+        x - ((w * upscaleFactor) - w) / 2, // upscale x
+        y - ((h * upscaleFactor) - h) / 2, // upscale y
+        w * upscaleFactor, // upscale width
+        h * upscaleFactor, // upscale height
+    ];
+    return [box, [x, y, w, h], rect];
+}
 
-    // looping over detected objects
-    for (let idx = 0; idx < selected.dims[1]; idx++) {
-        const data = selected.data.slice(idx * selected.dims[2], (idx + 1) * selected.dims[2]); // get rows
-        let box = data.slice(0, 4); // get boundingBoxes
-        const scores = data.slice(4, 4 + numClass); // get probability scores for each class
-        const score = Math.max(...scores); // get highest probability scores
-        const label = scores.indexOf(score); // get class id of highest probability scores
-
-        // if detected Object is not in searching labels skip it
-        if (!searchinglabels.includes(label)) { continue }
-
-        box = overflowBoxes(
-            [
-                box[0] - 0.5 * box[2], // before upscale x
-                box[1] - 0.5 * box[3], // before upscale y
-                box[2], // before upscale w
-                box[3], // before upscale h
-            ],
-            maxSize
-        ); // keep boxes in maxSize range
-
-        const [x, y, w, h] = overflowBoxes(
-            [
-                Math.floor(box[0] * xRatio), // upscale left
-                Math.floor(box[1] * yRatio), // upscale top
-                Math.floor(box[2] * xRatio), // upscale width
-                Math.floor(box[3] * yRatio), // upscale height
-            ],
-            maxSize
-        ); // upscale boxes
-
-
-        const mask = new ort.Tensor(
-            "float32",
-            new Float32Array([
-                ...box, // original scale box
-                ...data.slice(4 + numClass), // mask data
-            ])
-        ); // mask input
-
-        // Reposition the mask to fit with upscale
-        const newX = x - ((w * upscaleFactor) - w) / 2;
-        const newY = y - ((h * upscaleFactor) - h) / 2;
-
-        const maskConfig = new ort.Tensor(
-            "float32",
-            new Float32Array([
-                maxSize,
-                newX, // upscale x
-                newY, // upscale y
-                w * upscaleFactor, // upscale width
-                h * upscaleFactor, // upscale height
-                2, 2, 2, 255, // fixed Color for Mask Model
-            ])
-        );// Configuration for Mask Model
-
-
-        const {mask_filter} = await session.mask.run({
-            detection: mask,
-            mask: output1,
-            config: maskConfig,
-        }); // run mask calculation
-
-
-        const mask_mat = cv.matFromArray(
-            mask_filter.dims[0],
-            mask_filter.dims[1],
-            cv.CV_8UC4,
-            mask_filter.data
-        ); // mask result to Mat
-
-        // Convert RGBA to grayscale
-        cv.cvtColor(mask_mat, mask_mat, cv.COLOR_BGRA2GRAY);
-
-        // Threshold to ensure binary values (0 or 255)
-        cv.threshold(mask_mat, mask_mat, 1, 255, cv.THRESH_BINARY);
-
-
-        // substarct mask from overlay so masked area will be black
-        cv.subtract(overlay_gray, mask_mat, overlay_gray);
-
-        mask_mat.delete();
+/**
+ * Assembles the mask of a detection from the mask prototypes.
+ * @param {object} session - The inference sessions.
+ * @param {string} postprocessing - See postprocessingModes.
+ * @param {number[]} box - The box [x, y, width, height] in the model input.
+ * @param {Float32Array} coefficients - The mask coefficients of the detection.
+ * @param {ort.Tensor} prototypes - The mask prototypes of the segmentation model.
+ * @param {number} maxSize - The larger side of the model input.
+ * @param {number[]} rect - The upscaled rect the mask is drawn into (see placeDetection).
+ * @returns {Promise<cv.Mat>} The mask of maxSize x maxSize with CV_8UC1 data type (object pixel = 255).
+ */
+async function instanceMask(session, postprocessing, box, coefficients, prototypes, maxSize, rect) {
+    if (postprocessing !== "onnx") {
+        return cv.matFromArray(maxSize, maxSize, cv.CV_8UC1, assembleMask(box, coefficients, prototypes, maxSize, rect));
     }
-    return overlay_gray;
+    const mask = new ort.Tensor(
+        "float32",
+        new Float32Array([
+            ...box, // original scale box
+            ...coefficients, // mask data
+        ])
+    ); // mask input
+
+    const maskConfig = new ort.Tensor(
+        "float32",
+        new Float32Array([
+            maxSize,
+            ...rect,
+            2, 2, 2, 255, // fixed Color for Mask Model
+        ])
+    );// Configuration for Mask Model
+
+    const {mask_filter} = await session.mask.run({
+        detection: mask,
+        mask: prototypes,
+        config: maskConfig,
+    }); // run mask calculation
+
+    const mask_mat = cv.matFromArray(
+        mask_filter.dims[0],
+        mask_filter.dims[1],
+        cv.CV_8UC4,
+        mask_filter.data
+    ); // mask result to Mat
 
+    // Convert RGBA to grayscale
+    cv.cvtColor(mask_mat, mask_mat, cv.COLOR_BGRA2GRAY);
+
+    // Threshold to ensure binary values (0 or 255)
+    cv.threshold(mask_mat, mask_mat, 1, 255, cv.THRESH_BINARY);
+    return mask_mat;
 }
 
 
+/**
+ * Crops a binary instance mask to its bounding rect and scales it to the original image.
+ * @param {cv.Mat} maskMat - The instance mask with CV_8UC1 data type (object pixel = 255).
+ * @param {number} scaleX - The horizontal scale from the mask to the original image.
+ * @param {number} scaleY - The vertical scale from the mask to the original image.
+ * @returns {{x: number, y: number, width: number, height: number, data: Uint8Array}|null}
+ *   The cropped mask in original image coordinates, null if the mask is empty.
+ */
+function cropInstanceMask(maskMat, scaleX, scaleY) {
+    const rect = cv.boundingRect(maskMat);
+    if (rect.width === 0 || rect.height === 0) {
+        return null;
+    }
+    const roi = maskMat.roi(rect);
+    const x = Math.floor(rect.x * scaleX);
+    const y = Math.floor(rect.y * scaleY);
+    const width = Math.max(1, Math.round((rect.x + rect.width) * scaleX) - x);
+    const height = Math.max(1, Math.round((rect.y + rect.height) * scaleY) - y);
+
+    const scaled = new cv.Mat();
+    cv.resize(roi, scaled, new cv.Size(width, height), 0, 0, cv.INTER_LINEAR);
+    cv.threshold(scaled, scaled, 127, 255, cv.THRESH_BINARY);
+    const data = new Uint8Array(scaled.data);
+    roi.delete();
+    scaled.delete();
+    return {x, y, width, height, data};
+}
+
 /**
  * Handle overflow boxes based on maxSize
  * @param {Number[4]} box box in [x, y, w, h] format
@@ -0,0 +1,48 @@
+#!/usr/bin/env python3
+"""Serves AutoKorrektur like `python3 -m http.server`, but with the headers for cross-origin isolation.
+
+Browsers only allow SharedArrayBuffer, and thus the multi-threaded WASM backend of ONNX Runtime, on pages served
+with Cross-Origin-Opener-Policy: same-origin and Cross-Origin-Embedder-Policy: require-corp.
+
+Usage: python3 serve.py [--port 8000] [--bind 127.0.0.1]
+"""
+import argparse
+import functools
+import http.server
+import os
+
+
+class IsolatedRequestHandler(http.server.SimpleHTTPRequestHandler):
+    """Static file handler adding the COOP/COEP headers to every response."""
+
+    extensions_map = {
+        **http.server.SimpleHTTPRequestHandler.extensions_map,
+        ".mjs": "text/javascript",
+        ".wasm": "application/wasm",
+        ".webmanifest": "application/manifest+json",
+    }
+
+    def end_headers(self):
+        self.send_header("Cross-Origin-Opener-Policy", "same-origin")
+        self.send_header("Cross-Origin-Embedder-Policy", "require-corp")
+        super().end_headers()
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Serve AutoKorrektur with cross-origin isolation headers.")
+    parser.add_argument("--port", type=int, default=8000, help="port to listen on (default: 8000)")
+    parser.add_argument("--bind", default="127.0.0.1", help="address to bind to (default: 127.0.0.1)")
+    args = parser.parse_args()
+
+    directory = os.path.dirname(os.path.abspath(__file__))
+    handler = functools.partial(IsolatedRequestHandler, directory=directory)
+    with http.server.ThreadingHTTPServer((args.bind, args.port), handler) as server:
+        print(f"Serving {directory} at http://localhost:{args.port}/ (cross-origin isolated)")
+        try:
+            server.serve_forever()
+        except KeyboardInterrupt:
+            pass
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,154 @@
+/*
+ * Service worker making AutoKorrektur installable and usable offline.
+ * The app shell is precached on install and served cache first; bump appCacheName when these files change.
+ * Model files are not precached here, they are cached by modelCache.js when the page loads them (on the first visit and
+ * when another model is selected), so the app has to be opened online once per model; offline, the cached files are
+ * served from there.
+ * Photos shared to the installed app (Web Share Target) are kept in a cache until the page picks them up
+ * (openSharedImage in js/app.js).
+ */
+const appCacheName = "autokorrektur-app-v33";
+const modelCacheName = "autokorrektur-models"; // same name as in js/modelCache.js
+const shareCacheName = "autokorrektur-share";
+const sharedImageUrl = "shared-image"; // same as in js/app.js
+
+const appShell = [
+    "./",
+    "index.html",
+    "manifest.webmanifest",
+    "icon.png",
+    "css/style.css",
+    "css/font-awesome/css/font-awesome.min.css",
+    "css/font-awesome/fonts/fontawesome-webfont.woff2",
+    "css/font-awesome/fonts/fontawesome-webfont.woff",
+    "js/annotationExport.js",
+    "js/annotationImport.js",
+    "js/app.js",
+    "js/backends.js",
+    "js/detectionFilters.js",
+    "js/detectionReview.js",
+    "js/evaluation.js",
+    "js/flipAugmentation.js",
+    "js/inferenceWorker.js",
+    "js/maskUtils.js",
+    "js/miGanInference.js",
+    "js/modelCache.js",
+    "js/modelManifest.js",
+    "js/modelMetadata.js",
+    "js/outputDecoders.js",
+    "js/pipeline.js",
+    "js/pipelineClient.js",
+    "js/postprocessing.js",
+    "js/processInput.js",
+    "js/regionEditor.js",
+    "js/regions.js",
+    "js/settings.js",
+    "js/shadowEstimation.js",
+    "js/tiling.js",
+    "js/vectorExport.js",
+    "js/yoloInference.js",
+    "js/opencv.js",
+    "js/ort20/ort.all.min.js",
+    "js/ort20/ort-wasm-simd-threaded.jsep.mjs",
+    "js/ort20/ort-wasm-simd-threaded.jsep.wasm",
+    "model/manifest.json",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(appCacheName).then(cache => cache.addAll(appShell)));
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    // remove the app shell of older versions, the model and share caches are kept
+    event.waitUntil(caches.keys().then(names => Promise.all(names
+        .filter(name => name.startsWith("autokorrektur-app-") && name !== appCacheName)
+        .map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+    if (event.request.method === "POST" && url.pathname.endsWith("/share-target")) {
+        event.respondWith(receiveSharedImage(event.request));
+    } else if (event.request.method !== "GET") {
+        return;
+    } else if (url.pathname.endsWith("/model/manifest.json")) {
+        event.respondWith(networkFirst(event.request));
+    } else if (url.pathname.includes("/model/")) {
+        event.respondWith(fromModelCache(event.request));
+    } else {
+        event.respondWith(cacheFirst(event.request));
+    }
+});
+
+
+/**
+ * Stores the first shared image and opens the page, which then loads it as input.
+ * @param {Request} request - The POST request of the share target.
+ * @returns {Promise<Response>} A redirect to the page.
+ */
+async function receiveSharedImage(request) {
+    const formData = await request.formData();
+    const image = formData.getAll("image").find(file => file instanceof File);
+    if (image) {
+        const cache = await caches.open(shareCacheName);
+        await cache.put(sharedImageUrl, new Response(image, {
+            headers: {"Content-Type": image.type, "X-File-Name": encodeURIComponent(image.name)}
+        }));
+    }
+    return Response.redirect("./?share-target", 303);
+}
+
+/**
+ * Serves a request from the app cache, falling back to the network.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, {cacheName: appCacheName, ignoreSearch: true});
+    return cached ?? fetch(request);
+}
+
+/**
+ * Serves a request from the network and updates the app cache, falling back to the cache when offline.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(appCacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, {cacheName: appCacheName, ignoreSearch: true});
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serves a model file from the network. modelCache.js only requests models missing in the cache, so when offline
+ * any cached version of the file is served instead.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fromModelCache(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, {cacheName: modelCacheName, ignoreSearch: true});
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
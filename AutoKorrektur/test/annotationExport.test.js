@@ -0,0 +1,118 @@
+import {before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {loadOpenCv} from "../cli/opencv.js";
+import {annotationFiles, describeInstances} from "../js/annotationExport.js";
+import {parseCocoAnnotations, rasterizeAnnotations} from "../js/annotationImport.js";
+
+/**
+ * @param {number} x - The left of the mask in the image.
+ * @param {number} y - The top of the mask in the image.
+ * @param {number} width - The width of the mask.
+ * @param {number} height - The height of the mask.
+ * @returns {object} A detection of class 2 whose instance mask fills its box.
+ */
+function filledDetection(x, y, width, height) {
+    return {
+        label: 2, labelName: "car", score: 0.9, box: [x, y, width, height],
+        mask: {x, y, width, height, data: new Uint8Array(width * height).fill(255)}
+    };
+}
+
+/**
+ * @returns {object} A detection of class 2 with a triangular instance mask, which has runs in every column.
+ */
+function triangleDetection() {
+    const [x, y, width, height] = [30, 10, 12, 9];
+    const data = new Uint8Array(width * height);
+    for (let row = 0; row < height; row++) {
+        data.fill(255, row * width, row * width + row + 1);
+    }
+    return {label: 2, labelName: "car", score: 0.8, box: [x, y, width, height], mask: {x, y, width, height, data}};
+}
+
+describe("describeInstances", () => {
+    before(loadOpenCv);
+
+    it("traces the contour of a mask", () => {
+        const [instance] = describeInstances([filledDetection(10, 5, 20, 10)], 100, 50);
+        assert.deepEqual(instance.bbox, [10, 5, 20, 10]);
+        assert.equal(instance.area, 200);
+        assert.equal(instance.polygons.length, 1);
+        assert.ok(instance.polygons[0].length >= 6);
+    });
+
+    it("falls back to the bbox for a mask one pixel wide", () => {
+        const [instance] = describeInstances([filledDetection(10, 5, 1, 20)], 100, 50);
+        assert.deepEqual(instance.polygons, [[10, 5, 11, 5, 11, 25, 10, 25]]);
+        assert.equal(instance.area, 20);
+    });
+});
+
+describe("annotationFiles", () => {
+    before(loadOpenCv);
+
+    const images = () => [{
+        fileName: "street",
+        width: 100,
+        height: 50,
+        instances: describeInstances([filledDetection(10, 5, 20, 10), filledDetection(60, 0, 20, 1)], 100, 50)
+    }];
+
+    it("writes a YOLO line with a polygon for every instance, slivers included", () => {
+        const [labels] = annotationFiles("yolo", images(), ["person", "bicycle", "car"]);
+        const lines = labels.content.trim().split("\n");
+        assert.equal(lines.length, 2);
+        for (const line of lines) {
+            const [label, ...coordinates] = line.split(" ");
+            assert.equal(label, "2");
+            assert.ok(coordinates.length >= 6 && coordinates.length % 2 === 0);
+        }
+    });
+
+    it("writes no empty COCO polygon segmentation", () => {
+        const [file] = annotationFiles("coco-polygon", images(), ["person", "bicycle", "car"]);
+        const {annotations} = JSON.parse(file.content);
+        assert.equal(annotations.length, 2);
+        for (const {segmentation} of annotations) {
+            assert.ok(segmentation.length > 0 && segmentation.every(polygon => polygon.length >= 6));
+        }
+    });
+});
+
+describe("COCO RLE round trip", () => {
+    before(loadOpenCv);
+
+    const images = (detection) => [{
+        fileName: "street", width: 100, height: 50, instances: describeInstances([detection], 100, 50)
+    }];
+
+    it("marks RLE annotations as crowd and imports the same mask", () => {
+        const detection = triangleDetection();
+        const [file] = annotationFiles("coco-rle", images(detection), ["person", "bicycle", "car"]);
+        const [annotation] = JSON.parse(file.content).annotations;
+        assert.equal(annotation.iscrowd, 1);
+        assert.deepEqual(annotation.segmentation.size, [50, 100]);
+
+        const instances = parseCocoAnnotations(file.content, ["person", "bicycle", "car"]).get("street");
+        const [imported] = rasterizeAnnotations(instances, 100, 50);
+        assert.equal(imported.label, 2);
+        const {x, y, width, height, data} = detection.mask;
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                const importedX = x + column - imported.mask.x;
+                const importedY = y + row - imported.mask.y;
+                const inside = importedX >= 0 && importedY >= 0 && importedX < imported.mask.width
+                    && importedY < imported.mask.height;
+                const pixel = inside ? imported.mask.data[importedY * imported.mask.width + importedX] : 0;
+                assert.equal(pixel !== 0, data[row * width + column] !== 0, "pixel " + column + ", " + row);
+            }
+        }
+        assert.equal(imported.mask.data.filter(pixel => pixel !== 0).length, annotation.area);
+    });
+
+    it("keeps polygon annotations as non-crowd", () => {
+        const [file] = annotationFiles("coco-polygon", images(triangleDetection()), ["person", "bicycle", "car"]);
+        assert.equal(JSON.parse(file.content).annotations[0].iscrowd, 0);
+    });
+});
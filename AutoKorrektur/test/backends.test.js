@@ -0,0 +1,73 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {FallbackSession} from "../js/backends.js";
+
+describe("FallbackSession", () => {
+    const created = [];
+    const runErrors = {}; // backend -> error thrown by its runs
+    let previousOrt;
+
+    before(() => {
+        previousOrt = globalThis.ort;
+        globalThis.ort = {
+            InferenceSession: {
+                create: async (source, {executionProviders: [backend]}) => {
+                    created.push(backend);
+                    return {
+                        inputNames: ["images"],
+                        outputNames: ["output0"],
+                        run: async () => {
+                            if (runErrors[backend]) {
+                                throw runErrors[backend];
+                            }
+                            return {output0: backend};
+                        },
+                        release: async () => {}
+                    };
+                }
+            }
+        };
+    });
+
+    after(() => {
+        globalThis.ort = previousOrt;
+    });
+
+    /**
+     * Creates a session on webgpu with wasm as fallback whose webgpu runs fail with an error.
+     * @param {Error} error - The error of the webgpu runs.
+     * @returns {Promise<FallbackSession>}
+     */
+    async function failingSession(error) {
+        created.length = 0;
+        runErrors.webgpu = error;
+        return await FallbackSession.create(new Uint8Array(1), {}, ["webgpu", "wasm"], "yolo");
+    }
+
+    for (const error of [
+        new Error("Failed to execute 'mapAsync' on 'GPUBuffer': Device is lost."),
+        new Error("kernel not implemented: GridSample"),
+        Object.assign(new Error("Out of memory"), {name: "GPUOutOfMemoryError"}),
+    ]) {
+        it("falls back to wasm on the backend error \"" + error.message + "\"", async () => {
+            const session = await failingSession(error);
+            assert.deepEqual(await session.run({}), {output0: "wasm"});
+            assert.equal(session.backend, "wasm");
+            assert.deepEqual(created, ["webgpu", "wasm"]);
+        });
+    }
+
+    for (const error of [
+        new Error("failed to call OrtRun(). ERROR_CODE: 2, ERROR_MESSAGE: Got invalid dimensions for input: images"),
+        new Error("Unsupported model IR version: 10, max supported IR version: 9"),
+        new Error("input 'images' is missing in 'feeds'."),
+    ]) {
+        it("rethrows the error \"" + error.message + "\" without falling back", async () => {
+            const session = await failingSession(error);
+            await assert.rejects(session.run({}), error);
+            assert.equal(session.backend, "webgpu");
+            assert.deepEqual(created, ["webgpu"]);
+        });
+    }
+});
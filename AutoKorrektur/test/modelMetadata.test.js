@@ -0,0 +1,25 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {resolveSegmentationModel} from "../js/modelMetadata.js";
+
+const manifest = {classLists: {}};
+const metadata = {names: "{0: 'person', 1: 'car'}"};
+
+describe("resolveSegmentationModel", () => {
+    it("takes a square imgsz from the metadata", () => {
+        const model = resolveSegmentationModel({id: "custom"}, {...metadata, imgsz: "[320, 320]"}, manifest);
+        assert.deepEqual(model.inputSize, [320, 320]);
+        assert.deepEqual(model.classes, ["person", "car"]);
+    });
+
+    it("rejects a rectangular imgsz, naming the size and a square export", () => {
+        assert.throws(() => resolveSegmentationModel({id: "custom"}, {...metadata, imgsz: "[480, 640]"}, manifest),
+            /input size 640 x 480 \(imgsz of its model metadata\).*only square.*imgsz=640/);
+    });
+
+    it("rejects a rectangular inputSize of the manifest", () => {
+        assert.throws(() => resolveSegmentationModel({id: "custom", inputSize: [640, 480]}, metadata, manifest),
+            /"inputSize" of its manifest entry/);
+    });
+});
@@ -0,0 +1,68 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+
+import {AutoKorrekturPipeline} from "../js/pipeline.js";
+
+/**
+ * Encodes an ONNX ModelProto holding nothing but metadata properties, enough for readOnnxMetadata.
+ * @param {Object<string, string>} metadata - The metadata properties by key.
+ * @returns {Uint8Array}
+ */
+function onnxWithMetadata(metadata) {
+    const field = (tag, bytes) => [tag, bytes.length, ...bytes]; // length-delimited, shorter than 128 bytes
+    const text = (value) => [...new TextEncoder().encode(value)];
+    const bytes = Object.entries(metadata).flatMap(([key, value]) =>
+        field(14 << 3 | 2, [...field(1 << 3 | 2, text(key)), ...field(2 << 3 | 2, text(value))]));
+    return new Uint8Array(bytes);
+}
+
+const manifest = {
+    version: 1,
+    defaults: {segmentation: "yolo-end2end", inpainting: "mi-gan-512"},
+    models: [
+        {
+            id: "yolo-end2end", kind: "segmentation", file: "yolo-end2end.onnx", inputSize: [640, 640],
+            classes: ["person", "car"], helpers: {mask: "mask-yolov8-seg"}
+        },
+        {id: "mask-yolov8-seg", kind: "mask", file: "mask-yolov8-seg.onnx"},
+        {id: "mi-gan-512", kind: "inpainting", file: "mi-gan-512.onnx", inputSize: [512, 512]},
+    ]
+};
+
+describe("AutoKorrekturPipeline.load", () => {
+    const fetched = [];
+    const created = [];
+    const globals = {};
+
+    before(() => {
+        globals.fetch = globalThis.fetch;
+        globals.ort = globalThis.ort;
+        globalThis.fetch = async (url) => {
+            fetched.push(url);
+            return new Response(onnxWithMetadata({end2end: "True", imgsz: "[640, 640]"}));
+        };
+        globalThis.ort = {
+            InferenceSession: {
+                create: async (source) => {
+                    created.push(source);
+                    return {inputNames: ["images"], outputNames: ["output0"], release: async () => {}};
+                }
+            }
+        };
+    });
+
+    after(() => {
+        globalThis.fetch = globals.fetch;
+        globalThis.ort = globals.ort;
+    });
+
+    it("reads the decoder of an end-to-end export whose manifest entry has classes and input size", async () => {
+        const pipeline = new AutoKorrekturPipeline({manifest, modelPath: "model/"});
+        await pipeline.load();
+        assert.deepEqual(fetched, ["model/yolo-end2end.onnx"]);
+        assert.ok(created[0] instanceof Uint8Array, "the segmentation session is not created from the fetched bytes");
+        assert.equal(pipeline.segmentationModel.decoder, "end2end");
+        assert.equal(pipeline.instanceSegSession.nms, null);
+        await pipeline.dispose();
+    });
+});
@@ -0,0 +1,82 @@
+import {before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {existsSync} from "node:fs";
+import {readFile} from "node:fs/promises";
+import {createRequire} from "node:module";
+import {dirname, join} from "node:path";
+
+import * as ortModule from "../js/ort20/ort.node.min.mjs";
+import {loadOpenCv} from "../cli/opencv.js";
+import {comparePostprocessingOutput} from "../js/yoloInference.js";
+
+const modelDir = new URL("../model/", import.meta.url);
+const fixtureDir = new URL("./fixtures/", import.meta.url);
+const inputSize = 128;
+const wasmDir = findWasmDir();
+
+/**
+ * Reads a recorded model output.
+ * @param {string} file - The file name in fixtures/, raw little-endian float32 values.
+ * @param {number[]} dims - The dimensions of the tensor.
+ * @returns {Promise<ort.Tensor>}
+ */
+async function readTensor(file, dims) {
+    const bytes = await readFile(new URL(file, fixtureDir));
+    const data = new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+    assert.equal(data.length, dims.reduce((a, b) => a * b), file + " does not match its dimensions");
+    return new ort.Tensor("float32", data.slice(), dims);
+}
+
+/**
+ * Finds the wasm binaries of ONNX Runtime, which are not part of js/ort20, in the onnxruntime-web dev dependency.
+ * @returns {string|null} The directory with a trailing separator, null if the package is not installed.
+ */
+function findWasmDir() {
+    try {
+        const dir = dirname(createRequire(import.meta.url).resolve("onnxruntime-web")) + "/";
+        return existsSync(join(dir, "ort-wasm-simd-threaded.wasm")) ? dir : null;
+    } catch {
+        return null;
+    }
+}
+
+/*
+ * The fixture is a synthetic output of a model with 128 x 128 input, 3 classes and 32 x 32 prototypes: 300
+ * candidates around 12 objects, with equal scores, box edges on half prototype pixels and boxes beyond the input, so
+ * the order of the NMS and the rounding of the mask assembly are both exercised.
+ */
+describe("JavaScript post-processing", {
+    skip: wasmDir === null && "the wasm binaries of ONNX Runtime are missing, run npm install for onnxruntime-web"
+}, () => {
+    const session = {};
+    let output0;
+    let output1;
+
+    before(async () => {
+        await loadOpenCv();
+        globalThis.ort = ortModule.default ?? ortModule;
+        ort.env.wasm.numThreads = 1;
+        ort.env.wasm.wasmPaths = wasmDir;
+        for (const [name, file] of [["nms", "nms-yolov8.onnx"], ["mask", "mask-yolov8-seg.onnx"]]) {
+            session[name] = await ort.InferenceSession.create(await readFile(new URL(file, modelDir)));
+        }
+        output0 = await readTensor("yolo-output0.bin", [1, 4 + 3 + 32, 300]);
+        output1 = await readTensor("yolo-output1.bin", [1, 32, 32, 32]);
+    });
+
+    const cases = [
+        {scoreThreshold: 0.2, iouThreshold: 0.9, maxInstances: 100, upscaleFactor: 1.0, ratios: [1, 1]},
+        {scoreThreshold: 0.25, iouThreshold: 0.45, maxInstances: 100, upscaleFactor: 1.2, ratios: [1, 1]},
+        {scoreThreshold: 0.5, iouThreshold: 0.3, maxInstances: 5, upscaleFactor: 1.37, ratios: [1, 0.75]},
+        {scoreThreshold: 0.05, iouThreshold: 0.7, maxInstances: 30, upscaleFactor: 0.8, ratios: [0.75, 1]},
+    ];
+    for (const {ratios: [xRatio, yRatio], ...options} of cases) {
+        it("equals the helper graphs with " + JSON.stringify({...options, xRatio, yRatio}), async () => {
+            const {selected, selectionDifferences, maskPixels, maskDifferences} = await comparePostprocessingOutput(
+                output0, output1, xRatio, yRatio, session, inputSize, options);
+            assert.ok(selected > 0 && maskPixels > 0, "the fixture selects no detection");
+            assert.equal(selectionDifferences, 0, "selected boxes differ");
+            assert.equal(maskDifferences, 0, "mask pixels differ");
+        });
+    }
+});